@@ -1,40 +1,62 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { MongoClient, ServerApiVersion } = require('mongodb');
+const { MongoClient, ServerApiVersion, ObjectId, GridFSBucket } = require('mongodb');
 const admin = require('firebase-admin');
 const ExcelJS = require('exceljs');
 const path = require('path');
 const multer = require('multer');
 const xlsx = require('xlsx');
 const fs = require('fs');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { waitUntil } = require('@vercel/functions');
 
 const app = express();
 const port = process.env.PORT || 5000;
+// On Vercel an invocation is frozen once its response is sent, so work can't be left running after it
+const RUNS_SERVERLESS = Boolean(process.env.VERCEL);
+
+// req.ip only reads X-Forwarded-For from trusted proxies. Vercel's edge is one hop and replaces any
+// client-sent header, so trust exactly that. TRUST_PROXY overrides it ("2", "loopback", "false").
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return RUNS_SERVERLESS ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use('/uploads', express.static('uploads'));
 
 // --- Firebase Admin Setup ---
 try {
-  let serviceAccount;
-  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-    serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST && !process.env.FIREBASE_SERVICE_ACCOUNT) {
+    // Local development against the Auth emulator: firebase-admin talks to it without real credentials
+    admin.initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID || 'demo-job-candidate' });
+    console.log(`Firebase Admin using Auth emulator at ${process.env.FIREBASE_AUTH_EMULATOR_HOST}`);
   } else {
-    serviceAccount = require('./serviceAccountKey.json');
-  }
+    let serviceAccount;
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+      serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    } else {
+      serviceAccount = require('./serviceAccountKey.json');
+    }
 
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount)
-  });
-  console.log('Firebase Admin Initialized');
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount)
+    });
+    console.log('Firebase Admin Initialized');
+  }
 } catch (error) {
   console.warn('WARNING: Firebase Auth verification may fail. (Missing serviceAccountKey.json or FIREBASE_SERVICE_ACCOUNT env var)');
 }
 
 // --- MongoDB Config ---
 const uri = process.env.MONGO_URI;
+// Tests point this at a throwaway database
+const dbName = process.env.MONGO_DB_NAME || 'job-candidate-db';
 const client = new MongoClient(uri, {
   serverApi: {
     version: ServerApiVersion.v1,
@@ -45,13 +67,81 @@ const client = new MongoClient(uri, {
 
 let db; // Global DB reference
 
+// Runs fn(session) in a transaction and returns its result. withTransaction retries fn on transient
+// errors, so fn must do all its reads and writes through the session. Needs a replica set (Atlas is one).
+const runInTransaction = (fn) => client.withSession(session => session.withTransaction(() => fn(session)));
+
+// Thrown inside runInTransaction to roll everything back and answer with an HTTP error instead
+class TransactionAbort extends Error {
+  constructor(status, body) {
+    super(typeof body === 'string' ? body : body.message);
+    this.status = status;
+    this.body = body;
+  }
+
+  send(res) {
+    return typeof this.body === 'string' ? res.status(this.status).send(this.body) : res.status(this.status).json(this.body);
+  }
+}
+
+// Indexes backing the candidate list filters and sorts. createIndexes is a no-op when they already exist.
+async function ensureIndexes(database) {
+  try {
+    await database.collection('candidates').createIndexes([
+      { key: { createdAt: -1 } },
+      { key: { status: 1, createdAt: -1 } },
+      { key: { email: 1 } },
+      { key: { phone: 1 } },
+      { key: { name: 1 } },
+      { key: { experience_years: 1 } },
+      { key: { age: 1 } },
+      { key: { createdBy: 1, createdAt: -1 } },
+      { key: { deletedAt: -1 } },
+      { key: { tags: 1 } },
+      { key: { assignedTo: 1, createdAt: -1 } }
+    ]);
+    await database.collection('interviews').createIndexes([
+      { key: { candidateId: 1, startsAt: 1 } },
+      { key: { interviewers: 1, startsAt: 1 } },
+      { key: { status: 1, startsAt: 1 } }
+    ]);
+    await database.collection('importJobs').createIndex({ status: 1, createdAt: -1 });
+    await database.collection('importJobRows').createIndex({ jobId: 1, index: 1 }, { unique: true });
+    // Backstop only: maintenance removes expired previews (and their extracted photos) first
+    await database.collection('importPreviews').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 24 * 3600 });
+    await database.collection('importPreviewRows').createIndexes([
+      { key: { previewId: 1, index: 1 } },
+      { key: { expiresAt: 1 }, expireAfterSeconds: 0 }
+    ]);
+    await database.collection('users').createIndexes([
+      { key: { uid: 1 } },
+      { key: { email: 1 } },
+      { key: { calendarFeedTokenHash: 1 }, sparse: true }
+    ]);
+    await database.collection('auditLog').createIndexes([
+      { key: { createdAt: -1 } },
+      { key: { actorUid: 1, createdAt: -1 } },
+      { key: { targetType: 1, targetId: 1, createdAt: -1 } }
+    ]);
+    await database.collection('emailOutbox').createIndexes([
+      { key: { status: 1, nextAttemptAt: 1 } },
+      { key: { createdAt: -1 } }
+    ]);
+  } catch (error) {
+    console.warn('WARNING: Could not create indexes:', error.message);
+  }
+}
+
 async function connectDB() {
   if (db) return db;
   try {
     if (!client.topology || !client.topology.isConnected()) {
       await client.connect();
     }
-    db = client.db("job-candidate-db");
+    const database = client.db(dbName);
+    await ensureIndexes(database);
+    await ensureCollectionValidators(database);
+    db = database;
     return db;
   } catch (error) {
     console.error("MongoDB Connection Error:", error);
@@ -79,10 +169,73 @@ if (require.main === module) {
     client.db("admin").command({ ping: 1 }).then(() => {
       console.log("Pinged your deployment. You successfully connected to MongoDB!");
     });
+    resumeImportJobs().catch(console.dir);
+    migrateInterviewTimestamps()
+      .then(({ migrated }) => migrated > 0 && console.log(`Migrated ${migrated} interviews to timestamps`))
+      .catch(console.dir);
+    migrateCandidateEmails()
+      .then(({ migrated }) => migrated > 0 && console.log(`Lowercased ${migrated} candidate emails`))
+      .catch(console.dir);
+    setInterval(() => {
+      runInterviewMaintenance().catch(error => console.error('Maintenance Error:', error));
+    }, MAINTENANCE_INTERVAL_MINUTES * 60000);
   }).catch(console.dir);
 }
 
 
+// --- Test Auth ---
+
+// Integration tests sign in as seeded users with locally signed tokens instead of Firebase ones.
+// Only available when TEST_AUTH=true, and never in production or on Vercel.
+const TEST_AUTH_REQUESTED = process.env.TEST_AUTH === 'true';
+const TEST_AUTH_ENABLED = TEST_AUTH_REQUESTED && process.env.NODE_ENV !== 'production' && !process.env.VERCEL;
+const TEST_AUTH_ISSUER = 'job-candidate-test-auth';
+const TEST_AUTH_TTL_SECONDS = 60 * 60;
+// Without a configured secret, tokens are only valid for the lifetime of this process
+const TEST_AUTH_SECRET = process.env.TEST_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (TEST_AUTH_ENABLED) {
+  console.warn('WARNING: Test auth is enabled. Locally signed tokens are accepted for any user.');
+} else if (TEST_AUTH_REQUESTED) {
+  console.warn('WARNING: TEST_AUTH ignored in production.');
+}
+
+const signTestAuthPart = (value) => crypto.createHmac('sha256', TEST_AUTH_SECRET).update(value).digest('base64url');
+
+// HS256 JWT carrying the same claims the handlers read from a Firebase ID token
+const signTestToken = ({ uid, email }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    iss: TEST_AUTH_ISSUER,
+    uid,
+    email: email || undefined,
+    email_verified: Boolean(email),
+    iat: now,
+    exp: now + TEST_AUTH_TTL_SECONDS
+  })).toString('base64url');
+  return `${header}.${payload}.${signTestAuthPart(`${header}.${payload}`)}`;
+};
+
+// Returns the token claims, or null when the token is not a valid, unexpired test token
+const verifyTestToken = (token) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  const expected = Buffer.from(signTestAuthPart(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (claims.iss !== TEST_AUTH_ISSUER || !claims.uid) return null;
+    if (!(claims.exp > Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+};
+
 // --- Middlewares ---
 
 const verifyToken = async (req, res, next) => {
@@ -91,48 +244,447 @@ const verifyToken = async (req, res, next) => {
     return res.status(401).send('Unauthorized: No token provided');
   }
 
-  // --- DEV BYPASS FOR TESTING ---
-  if (token === 'DEV_TOKEN') {
-    req.user = { uid: 'test-uid-123', email: 'admin@test.com' }; // Matches your seed user
-    return next();
+  let claims = TEST_AUTH_ENABLED ? verifyTestToken(token) : null;
+  if (!claims) {
+    try {
+      // checkRevoked also refuses tokens of disabled accounts and tokens issued before a revocation
+      claims = await admin.auth().verifyIdToken(token, true);
+    } catch (error) {
+      console.error('Auth Verify Error:', error.message);
+      if (['auth/id-token-revoked', 'auth/user-disabled'].includes(error.code)) {
+        return res.status(401).send('Unauthorized: Session revoked');
+      }
+      return res.status(401).send('Unauthorized: Invalid token');
+    }
   }
-  // -----------------------------
 
   try {
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken;
-    next();
+    // Checked here as well so deactivation also covers test tokens and users without a Firebase account
+    const user = await db.collection('users').findOne({ uid: claims.uid }, { projection: { deactivatedAt: 1 } });
+    if (user?.deactivatedAt) return res.status(403).send('Account deactivated');
   } catch (error) {
-    console.error('Auth Verify Error:', error.message);
-    res.status(401).send('Unauthorized: Invalid token');
+    console.error('Auth Verify Error:', error);
+    return res.status(500).send('Internal Server Error');
   }
+
+  req.user = claims;
+  next();
+};
+
+// --- Roles & Permissions ---
+
+// Every permission a route can declare. Roles grant a subset of these; admin always has all of them.
+const PERMISSIONS = {
+  'candidates.read': 'View candidates, their history, tags, notes and the pipeline',
+  'candidates.create': 'Add candidates manually',
+  'candidates.edit': 'Edit candidate details',
+  'candidates.status': 'Move candidates through the pipeline',
+  'candidates.tag': 'Add and remove candidate tags',
+  'candidates.assign': 'Assign candidates to recruiters',
+  'candidates.delete': 'Move candidates to the trash and restore them',
+  'candidates.purge': 'Permanently delete candidates from the trash',
+  'candidates.merge': 'Merge duplicate candidates',
+  'candidates.import': 'Upload and import candidate spreadsheets',
+  'candidates.export': 'Export candidates and phone lists',
+  'imports.configure': 'Manage saved import profiles',
+  'notes.write': 'Write notes on candidates',
+  'notes.moderate': 'Edit and delete notes written by others',
+  'pipeline.manage': 'Change pipeline stages and transitions',
+  'interviews.read': 'View interviews, feedback and calendars',
+  'interviews.schedule': 'Schedule, reschedule and cancel interviews',
+  'interviews.feedback': 'Submit feedback for interviews you are on',
+  'interviews.feedback_any': 'Submit feedback for any interview',
+  'users.manage': 'Manage users, roles and invites',
+  'audit.read': 'View and export the audit log',
+  'settings.manage': 'Manage maintenance settings and the email outbox',
+  'profile.self': 'View and update your own candidate profile, CV and interviews'
+};
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles. Until an admin edits them they live only here, so a fresh database needs no seeding.
+const DEFAULT_ROLES = {
+  admin: { description: 'Full access', permissions: ALL_PERMISSIONS },
+  staff: {
+    description: 'Recruiting staff',
+    permissions: [
+      'candidates.read', 'candidates.create', 'candidates.edit', 'candidates.status', 'candidates.tag', 'candidates.assign',
+      'candidates.import', 'candidates.export', 'notes.write',
+      'interviews.read', 'interviews.schedule', 'interviews.feedback'
+    ]
+  },
+  candidate: { description: 'Applicants signing in to see their own profile', permissions: ['profile.self'] }
+};
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Merges a stored roles document (_id is the role name) over the built-in defaults.
+// admin can't be narrowed, so editing roles can never lock everyone out of user management.
+const toRole = (name, stored) => {
+  const fallback = DEFAULT_ROLES[name];
+  if (!stored && !fallback) return null;
+  const { _id, ...fields } = stored || {};
+  const role = { name, builtIn: Boolean(fallback), ...fallback, ...fields };
+  role.permissions = name === 'admin' ? ALL_PERMISSIONS : role.permissions.filter(permission => PERMISSIONS[permission]);
+  return role;
 };
 
-const verifyRole = (allowedRoles) => {
+// users.manage can be given to custom roles, so the admin role itself stays in admins' hands
+const isAdminUser = (user) => String(user?.role).toLowerCase() === 'admin';
+
+const getRole = async (name) => {
+  const key = String(name || '').toLowerCase();
+  if (!key) return null;
+  return toRole(key, await db.collection('roles').findOne({ _id: key }));
+};
+
+const getRoles = async () => {
+  const stored = await db.collection('roles').find({}).toArray();
+  const names = [...new Set([...Object.keys(DEFAULT_ROLES), ...stored.map(role => role._id)])];
+  return names.map(name => toRole(name, stored.find(role => role._id === name)));
+};
+
+const getEffectivePermissions = async (user) => {
+  const role = await getRole(user?.role);
+  return role ? role.permissions : [];
+};
+
+// Names of the roles granting a permission, for queries like "which users can interview"
+const getRoleNamesWithPermission = async (permission) =>
+  (await getRoles()).filter(role => role.permissions.includes(permission)).map(role => role.name);
+
+const hasPermission = (req, permission) => Boolean(req.permissions?.includes(permission));
+
+// Passes when the user's role grants any of the listed permissions. Sets req.dbUser and req.permissions.
+const requirePermission = (...required) => {
   return async (req, res, next) => {
     try {
       if (!req.user || !req.user.uid) return res.status(401).send('Unauthorized');
 
-      const usersCollection = db.collection('users');
-      const user = await usersCollection.findOne({ uid: req.user.uid });
-
+      const user = await db.collection('users').findOne({ uid: req.user.uid });
       if (!user) {
         return res.status(404).send('User role not found in database');
       }
+      if (user.deactivatedAt) return res.status(403).send('Account deactivated');
 
-      if (user.role && allowedRoles.includes(user.role.toLowerCase())) {
-        req.dbUser = user;
-        next();
-      } else {
-        res.status(403).send('Forbidden: Insufficient Permissions');
+      const permissions = await getEffectivePermissions(user);
+      if (!required.some(permission => permissions.includes(permission))) {
+        return res.status(403).send('Forbidden: Insufficient Permissions');
       }
+      req.dbUser = user;
+      req.permissions = permissions;
+      next();
     } catch (error) {
-      console.error('Role Check Error:', error);
+      console.error('Permission Check Error:', error);
       res.status(500).send('Internal Server Error');
     }
   };
 };
 
+// --- Audit Log ---
+
+// auditLog is append-only: entries are only ever inserted, there is no route that edits or removes them.
+const AUDIT_IGNORED_FIELDS = ['_id', 'updatedAt', 'updatedBy'];
+const AUDIT_EXPORT_LIMIT = 50000;
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const getClientIp = (req) => req.ip || null;
+
+// Top-level fields that differ between two versions of a document -> { field: { from, to } }
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    if (AUDIT_IGNORED_FIELDS.includes(key)) return;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Records one action. before/after are the target document around the change; when the target
+// is deleted (after === null) the full document is kept as snapshot. Never throws.
+const recordAudit = async (req, { action, targetType, targetId, before, after, details, actorUid }) => {
+  req.auditRecorded = true;
+  try {
+    await db.collection('auditLog').insertOne({
+      actorUid: actorUid || req.user?.uid || null,
+      actorEmail: req.user?.email || null,
+      action,
+      targetType,
+      targetId: targetId === undefined || targetId === null ? null : String(targetId),
+      changes: before !== undefined || after !== undefined ? diffDocuments(before, after) : null,
+      ...(after === null && before ? { snapshot: before } : {}),
+      ...(details ? { details } : {}),
+      method: req.method,
+      path: req.originalUrl,
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      createdAt: new Date()
+    });
+  } catch (error) {
+    console.error('Audit Log Error:', error);
+  }
+};
+
+// Safety net: a successful mutating request whose handler did not call recordAudit still gets a
+// generic entry, so new routes are never silently missing from the log. The entry is written
+// before the response goes out, since a serverless invocation is frozen once it has answered.
+app.use((req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method) || !req.path.startsWith('/api/')) return next();
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    if (req.auditRecorded || res.statusCode >= 400 || !db) return send(body);
+    recordAudit(req, {
+      action: `${req.method} ${req.route?.path || req.path}`,
+      targetType: 'unknown',
+      targetId: req.params?.id || req.params?.uid || null
+    }).then(() => send(body));
+    return res;
+  };
+  next();
+});
+
+// Query: actor, action, targetType, targetId, from, to (ISO dates)
+const buildAuditFilter = (params) => {
+  const filter = {};
+  if (params.actor) filter.actorUid = String(params.actor);
+  if (params.action) filter.action = String(params.action);
+  if (params.targetType) filter.targetType = String(params.targetType);
+  if (params.targetId) filter.targetId = String(params.targetId);
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) {
+      const from = new Date(params.from);
+      if (isNaN(from)) return { error: 'Invalid from date' };
+      filter.createdAt.$gte = from;
+    }
+    if (params.to) {
+      const to = new Date(params.to);
+      if (isNaN(to)) return { error: 'Invalid to date' };
+      if (/^\d{4}-\d{2}-\d{2}$/.test(params.to)) {
+        // A bare date includes the whole day
+        to.setUTCDate(to.getUTCDate() + 1);
+        filter.createdAt.$lt = to;
+      } else {
+        filter.createdAt.$lte = to;
+      }
+    }
+  }
+  return { filter };
+};
+
+const AUDIT_EXPORT_COLUMNS = ['createdAt', 'actorUid', 'actorEmail', 'action', 'targetType', 'targetId', 'changes', 'details', 'ip', 'method', 'path'];
+
+// Query: filters above, plus page/limit, or format=csv|xlsx to download everything that matches
+app.get('/api/audit', verifyToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) return res.status(400).send(error);
+
+    const auditCollection = db.collection('auditLog');
+    const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+
+    if (format) {
+      if (!['csv', 'xlsx'].includes(format)) return res.status(400).send('Invalid format, use csv or xlsx');
+      const entries = await auditCollection.find(filter, { projection: { snapshot: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .toArray();
+      const stamp = new Date().toISOString().split('T')[0];
+
+      if (format === 'csv') {
+        const lines = [AUDIT_EXPORT_COLUMNS.join(',')];
+        entries.forEach((entry) => {
+          lines.push(AUDIT_EXPORT_COLUMNS.map(c => escapeCsvValue(entry[c])).join(','));
+        });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+        return res.send('\uFEFF' + lines.join('\r\n'));
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Audit Log');
+      sheet.columns = AUDIT_EXPORT_COLUMNS.map(c => ({ header: c, key: c, width: c === 'changes' ? 60 : 20 }));
+      sheet.getRow(1).font = { bold: true };
+      entries.forEach((entry) => {
+        const values = {};
+        AUDIT_EXPORT_COLUMNS.forEach((c) => { values[c] = formatExportValue(entry[c]); });
+        sheet.addRow(values);
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.xlsx"`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const [entries, total] = await Promise.all([
+      auditCollection.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      auditCollection.countDocuments(filter)
+    ]);
+    res.json({ entries, total, page, limit, totalPages: Math.ceil(total / limit) });
+
+  } catch (error) {
+    console.error('Fetch Audit Log Error:', error);
+    if (!res.headersSent) res.status(500).send('Error fetching audit log');
+    else res.end();
+  }
+});
+
+// --- Candidate Schema ---
+
+// Single source of truth for candidate fields: checked on every write path and
+// mirrored into the MongoDB collection validator.
+const CANDIDATE_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  email: { type: 'string', format: 'email', maxLength: 254, lowercase: true },
+  phone: { type: 'string', maxLength: 40 },
+  experience_years: { type: 'number', min: 0, max: 80 },
+  previous_experience: { type: 'stringArray', maxItems: 50, maxLength: 1000 },
+  age: { type: 'number', min: 0, max: 120 },
+  photo: { type: 'string', maxLength: 500 },
+  status: { type: 'string', maxLength: 50 },
+  tags: { type: 'stringArray', maxItems: 50, maxLength: 50, lowercase: true },
+  assignedTo: { type: 'string', maxLength: 128 } // uid of a staff/admin user, see validateAssignee
+};
+
+// Managed by the server; dropped from client updates instead of being rejected
+const CANDIDATE_READONLY_FIELDS = ['_id', 'email', 'createdAt', 'createdBy', 'updatedAt', 'statusHistory', 'statusUpdatedAt', 'deletedAt', 'deletedBy', 'notes', 'cv'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Checks a payload against CANDIDATE_SCHEMA and returns { value, errors }.
+// Numeric strings become numbers and a single previous_experience string becomes a one-item list.
+// partial: required fields may be left out (updates). allowUnknown: ignore fields outside the schema.
+const validateCandidate = (data, { partial = false, allowUnknown = false } = {}) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: {}, errors: [{ field: null, message: 'Payload must be an object' }] };
+  }
+
+  const errors = [];
+  const value = {};
+
+  if (!allowUnknown) {
+    Object.keys(data)
+      .filter(field => !CANDIDATE_SCHEMA[field])
+      .forEach(field => errors.push({ field, message: 'Unknown field' }));
+  }
+
+  Object.entries(CANDIDATE_SCHEMA).forEach(([field, rule]) => {
+    const raw = data[field];
+    const missing = raw === undefined || raw === null || (typeof raw === 'string' && !raw.trim());
+
+    if (missing) {
+      // In partial updates an undefined value means "not sent"; only explicit null or '' clears a required field
+      if (rule.required && (!partial || raw !== undefined)) {
+        errors.push({ field, message: 'Required' });
+      } else if (typeof raw === 'string' && rule.type === 'string') {
+        value[field] = '';
+      } else if (typeof raw === 'string' && rule.type === 'stringArray') {
+        value[field] = [];
+      }
+      return;
+    }
+
+    if (rule.type === 'string') {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return errors.push({ field, message: 'Must be a string' });
+      const text = String(raw).trim();
+      if (text.length > rule.maxLength) return errors.push({ field, message: `Must be at most ${rule.maxLength} characters` });
+      if (rule.format === 'email' && !EMAIL_PATTERN.test(text)) return errors.push({ field, message: 'Must be a valid email address' });
+      value[field] = rule.lowercase ? text.toLowerCase() : text;
+    } else if (rule.type === 'number') {
+      const num = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(num)) return errors.push({ field, message: 'Must be a number' });
+      if (num < rule.min || num > rule.max) return errors.push({ field, message: `Must be between ${rule.min} and ${rule.max}` });
+      value[field] = num;
+    } else if (rule.type === 'stringArray') {
+      const list = Array.isArray(raw) ? raw : [raw];
+      if (list.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        return errors.push({ field, message: 'Must be a list of strings' });
+      }
+      const items = list.map(item => String(item).trim()).filter(Boolean);
+      if (items.length > rule.maxItems) return errors.push({ field, message: `Must have at most ${rule.maxItems} entries` });
+      if (items.some(item => item.length > rule.maxLength)) return errors.push({ field, message: `Entries must be at most ${rule.maxLength} characters` });
+      value[field] = rule.lowercase ? [...new Set(items.map(item => item.toLowerCase()))] : items;
+    }
+  });
+
+  return { value, errors };
+};
+
+// assignedTo must be the uid of an active user whose role can read candidates. Returns an error message or null.
+const validateAssignee = async (uid) => {
+  if (!uid) return null;
+  const roles = await getRoleNamesWithPermission('candidates.read');
+  const user = await db.collection('users').findOne({ uid, role: { $in: roles }, deactivatedAt: null }, { projection: { _id: 1 } });
+  return user ? null : `User ${uid} is not a staff member`;
+};
+
+// Fills in the fields every new candidate gets, so imported and manually added records look the same
+const buildNewCandidate = (fields, uid, initialStage, reason) => ({
+  ...fields,
+  phone: fields.phone || '',
+  experience_years: fields.experience_years || 0,
+  previous_experience: fields.previous_experience || [],
+  age: fields.age || 0,
+  photo: fields.photo || '',
+  status: initialStage,
+  statusHistory: [buildStatusHistoryEntry(null, initialStage, uid, reason)],
+  createdBy: uid,
+  createdAt: new Date()
+});
+
+// Candidates saved before emails were lowercased can't be found by the lowercased sign-in email.
+// Safe to run repeatedly.
+const migrateCandidateEmails = async () => {
+  const result = await db.collection('candidates').updateMany(
+    { email: /[A-Z]/ },
+    [{ $set: { email: { $toLower: '$email' } } }]
+  );
+  return { migrated: result.modifiedCount };
+};
+
+const sendValidationError = (res, errors) => res.status(400).json({ message: 'Validation failed', errors });
+
+// $jsonSchema version of CANDIDATE_SCHEMA. Nulls are tolerated for records written before validation existed.
+const buildCandidateJsonSchema = () => {
+  const properties = {};
+  Object.entries(CANDIDATE_SCHEMA).forEach(([field, rule]) => {
+    if (rule.type === 'string') {
+      properties[field] = { bsonType: rule.required ? 'string' : ['string', 'null'], maxLength: rule.maxLength };
+    } else if (rule.type === 'number') {
+      properties[field] = { bsonType: ['int', 'long', 'double', 'decimal', 'null'], minimum: rule.min, maximum: rule.max };
+    } else if (rule.type === 'stringArray') {
+      properties[field] = { bsonType: ['array', 'null'], maxItems: rule.maxItems, items: { bsonType: 'string' } };
+    }
+  });
+  properties.createdAt = { bsonType: 'date' };
+  properties.createdBy = { bsonType: ['string', 'null'] };
+
+  return {
+    bsonType: 'object',
+    required: Object.keys(CANDIDATE_SCHEMA).filter(field => CANDIDATE_SCHEMA[field].required),
+    properties
+  };
+};
+
+// "moderate" leaves existing documents that predate the schema editable
+async function ensureCollectionValidators(database) {
+  const validator = { $jsonSchema: buildCandidateJsonSchema() };
+  try {
+    const existing = await database.listCollections({ name: 'candidates' }).toArray();
+    if (existing.length === 0) {
+      await database.createCollection('candidates', { validator, validationLevel: 'moderate' });
+    } else {
+      await database.command({ collMod: 'candidates', validator, validationLevel: 'moderate' });
+    }
+  } catch (error) {
+    console.warn('WARNING: Could not apply candidate collection validator:', error.message);
+  }
+}
+
 // --- Routes ---
 
 app.get('/', (req, res) => {
@@ -143,34 +695,63 @@ app.get('/', (req, res) => {
 app.get('/api/test-auth', verifyToken, (req, res) => {
   res.json({ message: 'Authenticated', user: req.user });
 });
+
+// Issues a signed test token for any seeded (or not yet registered) user. Only registered in test-auth mode.
+if (TEST_AUTH_ENABLED) {
+  app.post('/api/test-auth/token', async (req, res) => {
+    try {
+      const uid = typeof req.body?.uid === 'string' ? req.body.uid.trim() : '';
+      if (!uid) return res.status(400).send('uid is required');
+
+      const user = await db.collection('users').findOne({ uid }, { projection: { email: 1, role: 1 } });
+      const email = normalizeEmail(req.body.email) || user?.email || null;
+
+      res.json({ token: signTestToken({ uid, email }), uid, email, role: user?.role || null, expiresIn: TEST_AUTH_TTL_SECONDS });
+    } catch (error) {
+      console.error('Test Token Error:', error);
+      res.status(500).send('Error issuing test token');
+    }
+  });
+}
+
+// Finds the users document for a verified token. Records created before their sign-in account
+// existed are linked by email, but only when the identity provider has verified that email.
+const findUserForToken = async (tokenUser) => {
+  const usersCollection = db.collection('users');
+  // Searching for user...
+  const user = await usersCollection.findOne({ uid: tokenUser.uid });
+  if (user || !tokenUser.email || !tokenUser.email_verified) return user;
+
+  // User not found by UID, searching by email...
+  const legacy = await usersCollection.findOne({ email: new RegExp(`^${escapeRegex(tokenUser.email)}$`, 'i') });
+  if (!legacy) return null;
+
+  console.log('User found by email. Updating record with UID:', tokenUser.uid);
+  await usersCollection.updateOne({ _id: legacy._id }, { $set: { uid: tokenUser.uid } });
+  return { ...legacy, uid: tokenUser.uid };
+};
+
 // Get logged-in user's role
 app.get('/api/users/me', verifyToken, async (req, res) => {
   try {
     const usersCollection = db.collection('users');
-    // Searching for user...
-    let user = await usersCollection.findOne({ uid: req.user.uid });
-
-    if (!user && req.user.email) {
-      // User not found by UID, searching by email...
-      user = await usersCollection.findOne({ email: req.user.email });
-
-      if (user) {
-        console.log('User found by email. Updating record with UID:', req.user.uid);
-        await usersCollection.updateOne(
-          { _id: user._id },
-          { $set: { uid: req.user.uid } }
-        );
-        // Refresh user object
-        user.uid = req.user.uid;
-      }
-    }
+    const user = await findUserForToken(req.user);
 
     if (!user) {
       // User NOT found in DB
       return res.status(404).json({ message: 'User not found' });
     }
+    if (user.deactivatedAt) return res.status(403).send('Account deactivated');
+
+    // First sign-in after an admin-created invite
+    if (user.invitePending) {
+      const activatedAt = new Date();
+      await usersCollection.updateOne({ _id: user._id }, { $set: { invitePending: false, activatedAt } });
+      Object.assign(user, { invitePending: false, activatedAt });
+    }
 
-    res.json(user);
+    // The frontend uses permissions to decide which controls to show; the routes enforce them regardless
+    res.json({ ...user, permissions: await getEffectivePermissions(user) });
   } catch (error) {
     console.error('Get User Error:', error);
     res.status(500).send('Error fetching user');
@@ -178,46 +759,61 @@ app.get('/api/users/me', verifyToken, async (req, res) => {
 });
 
 
-app.post('/api/users/register-role', async (req, res) => {
+// Self-registration after sign-up. uid and email come from the verified token, never the body.
+// New users are always candidates; staff and admin roles are only granted by admins.
+app.post('/api/users/register-role', verifyToken, async (req, res) => {
   
   try {
     const {
-      uid, email, role, name, phone, experience_years, previous_experience, age
-    } = req.body;
+      role, name, phone, experience_years, previous_experience, age
+    } = req.body || {};
+    const { uid } = req.user;
+    const email = normalizeEmail(req.user.email);
 
-    
-    const userRole = (role || 'candidate').toLowerCase();
-
-    if (!uid) {
-      console.log('Missing UID');
-      return res.status(400).send('UID required');
+    if (role !== undefined && String(role).toLowerCase() !== 'candidate') {
+      return res.status(403).send('Only admins can assign the staff or admin role');
     }
 
     const usersCollection = db.collection('users');
-    const candidatesCollection = db.collection('candidates');
+
+    const { value: profile, errors } = validateCandidate(
+      { name, email: email || undefined, phone, experience_years, previous_experience, age },
+      { partial: true }
+    );
+    if (errors.length > 0) return sendValidationError(res, errors);
 
     const userData = {
       uid,
-      email,
-      role: userRole,
-      name,
-      phone,
-      experience_years: parseInt(experience_years) || 0,
-      previous_experience,
-      age: parseInt(age) || 0,
+      email: profile.email,
+      name: profile.name,
+      phone: profile.phone,
+      experience_years: profile.experience_years || 0,
+      previous_experience: profile.previous_experience,
+      age: profile.age || 0,
       updatedAt: new Date()
     };
 
    
-    const existingUser = await usersCollection.findOne({ uid });
+    // Registering again only refreshes the profile, it never changes an existing role
+    const existingUser = await findUserForToken(req.user);
+    if (existingUser?.deactivatedAt) return res.status(403).send('Account deactivated');
+    const userRole = existingUser?.role || 'candidate';
     if (existingUser) {
       await usersCollection.updateOne({ uid }, { $set: userData });
-      
+    } else {
+      await usersCollection.insertOne({ ...userData, role: userRole, createdAt: new Date() });
     }
+    await recordAudit(req, {
+      action: 'user.register',
+      targetType: 'user',
+      targetId: uid,
+      before: existingUser || undefined,
+      after: { ...existingUser, ...userData, role: userRole }
+    });
 
-    
+    // Self-registered candidates get a candidate record unless one was already imported for their email
     if (userRole === 'candidate') {
-      
+      await ensureCandidateProfile(req, profile, { actorUid: uid, reason: 'Registered' });
     }
 
     res.json({ message: 'User and Candidate profile synchronized', uid, role: userRole });
@@ -227,8 +823,31 @@ app.post('/api/users/register-role', async (req, res) => {
   }
 });
 
+// Creates the candidate record for a candidate user unless one already exists for the email
+// (e.g. from an import). actorUid is whoever creates it: the user registering or the admin.
+// Returns the new candidate, or null when nothing was created.
+const ensureCandidateProfile = async (req, profile, { actorUid, reason }) => {
+  if (!profile.email) return null;
+  const candidatesCollection = db.collection('candidates');
+  const existing = await candidatesCollection.findOne({ email: profile.email }, { projection: { _id: 1 } });
+  if (existing) return null;
+
+  const { initialStage } = await getPipeline();
+  const candidate = buildNewCandidate({
+    name: profile.name || profile.email,
+    email: profile.email,
+    phone: profile.phone,
+    experience_years: profile.experience_years,
+    previous_experience: profile.previous_experience,
+    age: profile.age
+  }, actorUid, initialStage, reason);
+  await candidatesCollection.insertOne(candidate);
+  await recordAudit(req, { action: 'candidate.create', targetType: 'candidate', targetId: candidate._id, actorUid, after: candidate });
+  return candidate;
+};
+
 // --- User Management Routes (Admin Only) ---
-app.get('/api/users', verifyToken, verifyRole(['admin']), async (req, res) => {
+app.get('/api/users', verifyToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const usersCollection = db.collection('users');
     const users = await usersCollection.find({}).toArray();
@@ -239,503 +858,4887 @@ app.get('/api/users', verifyToken, verifyRole(['admin']), async (req, res) => {
   }
 });
 
-app.patch('/api/users/:uid/role', verifyToken, verifyRole(['admin']), async (req, res) => {
+app.patch('/api/users/:uid/role', verifyToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { uid } = req.params;
     const { role } = req.body;
     const targetRole = role?.toLowerCase();
-    if (!['admin', 'staff', 'candidate'].includes(targetRole)) {
+    if (!(await getRole(targetRole))) {
       return res.status(400).send('Invalid role');
     }
 
     const usersCollection = db.collection('users');
-    const result = await usersCollection.updateOne({ uid }, { $set: { role: targetRole } });
+    const changed = await updateUserKeepingAnAdmin(uid, {
+      removesAdmin: () => targetRole !== 'admin',
+      lastAdminMessage: 'Cannot demote the last active admin'
+    }, async (user, session) => {
+      if ((targetRole === 'admin' || isAdminUser(user)) && !isAdminUser(req.dbUser)) {
+        throw new TransactionAbort(403, 'Only admins can grant or remove the admin role');
+      }
+      await usersCollection.updateOne({ uid }, { $set: { role: targetRole } }, { session });
+    });
 
-    if (result.matchedCount === 0) {
+    if (!changed) {
       return res.status(404).send('User not found');
     }
+    const { before } = changed;
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: uid,
+      before: { role: before.role },
+      after: { role: targetRole }
+    });
 
     res.json({ message: 'Role updated successfully', uid, role });
   } catch (error) {
+    if (error instanceof TransactionAbort) return error.send(res);
     console.error('Update Role Error:', error);
     res.status(500).send('Error updating role');
   }
 });
 
+// Password-setup link for the user's Firebase account, emailed as the invite.
+// INVITE_CONTINUE_URL is where they land after choosing a password.
+const sendUserInvite = async (user) => {
+  const link = await admin.auth().generatePasswordResetLink(
+    user.email,
+    process.env.INVITE_CONTINUE_URL ? { url: process.env.INVITE_CONTINUE_URL } : undefined
+  );
+  await queueEmail({ to: user.email, template: 'userInvite', category: 'account', data: { user, link } });
+  await db.collection('users').updateOne({ uid: user.uid }, { $set: { invitedAt: new Date() } });
+  return link;
+};
 
-const UPLOADS_DIR = process.env.VERCEL || process.env.NODE_ENV === 'production' ? '/tmp/uploads' : 'uploads';
-
+// Body: { email, name, role, phone?, experience_years?, previous_experience?, age? }
+// Creates the Firebase Auth account and the users document (plus the candidate profile for
+// candidates), then emails a password-setup invite. The link is also returned for the admin to share.
+app.post('/api/users', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { role, email, name, phone, experience_years, previous_experience, age } = req.body || {};
+    const userRole = String(role || 'candidate').toLowerCase();
+    if (!(await getRole(userRole))) return res.status(400).send('Invalid role');
+    if (userRole === 'admin' && !isAdminUser(req.dbUser)) return res.status(403).send('Only admins can grant the admin role');
 
-try {
-  if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-  }
-} catch (err) {
-  console.warn(`WARNING: Could not create base uploads dir: ${err.message}`);
-}
+    const { value: profile, errors } = validateCandidate({ name, email, phone, experience_years, previous_experience, age });
+    if (!profile.email && !errors.some(e => e.field === 'email')) errors.push({ field: 'email', message: 'Required' });
+    if (errors.length > 0) return sendValidationError(res, errors);
+    profile.email = normalizeEmail(profile.email);
 
-const PROFILE_DIR = path.join(UPLOADS_DIR, 'profiles');
-try {
-  if (!fs.existsSync(PROFILE_DIR)) {
-    fs.mkdirSync(PROFILE_DIR, { recursive: true });
-  }
-} catch (err) {
-  console.warn(`WARNING: Could not create profile uploads dir: ${err.message}`);
-}
+    const usersCollection = db.collection('users');
+    const existing = await usersCollection.findOne({ email: new RegExp(`^${escapeRegex(profile.email)}$`, 'i') }, { projection: { _id: 1 } });
+    if (existing) return res.status(409).send(`A user with email ${profile.email} already exists`);
+    if (admin.apps.length === 0) return res.status(503).send('Firebase Auth is not configured on the server');
 
-const profileStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-   
-    if (!fs.existsSync(PROFILE_DIR)) {
-      try { fs.mkdirSync(PROFILE_DIR, { recursive: true }); } catch (e) { }
+    // An Auth account without a users document (an abandoned sign-up) is adopted instead of failing
+    let authUser;
+    let createdAuthUser = false;
+    try {
+      authUser = await admin.auth().createUser({ email: profile.email, displayName: profile.name, emailVerified: false });
+      createdAuthUser = true;
+    } catch (error) {
+      if (error.code !== 'auth/email-already-exists') throw error;
+      authUser = await admin.auth().getUserByEmail(profile.email);
+      if (await usersCollection.countDocuments({ uid: authUser.uid }, { limit: 1 })) {
+        return res.status(409).send(`The sign-in account for ${profile.email} already belongs to another user`);
+      }
     }
-    cb(null, PROFILE_DIR);
-  },
-  filename: (req, file, cb) => {
-    cb(null, `profile-${Date.now()}-${file.originalname}`);
-  }
-});
-const profileUpload = multer({ storage: profileStorage });
-
-app.patch('/api/users/update-profile', verifyToken, profileUpload.single('photo'), async (req, res) => {
-  
-  try {
-    const { name } = req.body;
-    const uid = req.user.uid;
-    const email = req.user.email;
 
-   
-    let photoUrl = null;
-    if (req.file) {
-     
-      photoUrl = `/uploads/profiles/${req.file.filename}`;
+    const now = new Date();
+    const user = {
+      uid: authUser.uid,
+      email: profile.email,
+      role: userRole,
+      name: profile.name,
+      phone: profile.phone,
+      experience_years: profile.experience_years || 0,
+      previous_experience: profile.previous_experience,
+      age: profile.age || 0,
+      invitePending: true,
+      createdBy: req.user.uid,
+      createdAt: now,
+      updatedAt: now
+    };
+    try {
+      await usersCollection.insertOne(user);
+    } catch (error) {
+      if (createdAuthUser) {
+        await admin.auth().deleteUser(authUser.uid).catch(e => console.error('Firebase Rollback Error:', e));
+      }
+      throw error;
     }
+    await recordAudit(req, { action: 'user.create', targetType: 'user', targetId: user.uid, after: user });
 
-    const usersCollection = db.collection('users');
-    const candidatesCollection = db.collection('candidates');
-
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (photoUrl) updateData.photo = photoUrl;
-    updateData.updatedAt = new Date();
-
-    
-    const userResult = await usersCollection.updateOne({ uid }, { $set: updateData });
+    if (userRole === 'candidate') {
+      await ensureCandidateProfile(req, profile, { actorUid: req.user.uid, reason: 'Account created by admin' });
+    }
 
-    
-    const user = await usersCollection.findOne({ uid });
-    if (user && user.role === 'candidate') {
-      await candidatesCollection.updateOne(
-        { email },
-        { $set: { ...updateData } }
-      );
+    // The account exists at this point, so a failed invite is reported rather than undoing everything
+    let inviteLink = null;
+    try {
+      inviteLink = await sendUserInvite(user);
+    } catch (error) {
+      console.error('User Invite Error:', error);
     }
 
-    res.json({ message: 'Profile updated successfully', photo: photoUrl, name });
+    res.status(201).json({ user, inviteSent: Boolean(inviteLink), inviteLink });
   } catch (error) {
-    console.error('Profile Update Error:', error);
-    res.status(500).send('Error updating profile');
+    console.error('Create User Error:', error);
+    if (error.code?.startsWith('auth/')) return res.status(400).send(`Could not create sign-in account: ${error.message}`);
+    res.status(500).send('Error creating user');
   }
 });
 
-
-try {
-  if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-  }
-} catch (e) { }
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    cb(null, `candidates-${Date.now()}-${file.originalname}`);
+// Sends a fresh password-setup link, e.g. when the first one expired
+app.post('/api/users/:uid/invite', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ uid: req.params.uid });
+    if (!user) return res.status(404).send('User not found');
+    if (!user.email) return res.status(400).send('User has no email address');
+    if (admin.apps.length === 0) return res.status(503).send('Firebase Auth is not configured on the server');
+
+    const inviteLink = await sendUserInvite(user);
+    await recordAudit(req, { action: 'user.invite', targetType: 'user', targetId: user.uid });
+    res.json({ message: `Invite sent to ${user.email}`, inviteLink });
+  } catch (error) {
+    console.error('User Invite Error:', error);
+    res.status(500).send('Error sending invite');
   }
 });
-const upload = multer({ storage: storage });
 
+// Last-admin safeguard: true when demoting, deactivating or deleting this user would leave no active admin
+const isLastActiveAdmin = async (user, session) => {
+  if (String(user.role).toLowerCase() !== 'admin' || user.deactivatedAt) return false;
+  const otherAdmins = await db.collection('users').countDocuments({
+    uid: { $ne: user.uid },
+    role: /^admin$/i,
+    deactivatedAt: null
+  }, { session });
+  return otherAdmins === 0;
+};
 
+// Loads the user and runs write(user, session) in one transaction, refusing with 409 when removesAdmin(user)
+// and they are the last active admin. Every call bumps the same lock document, so two admins demoting each
+// other conflict and withTransaction re-runs the count. Returns { before, result }, or null for an unknown uid.
+const updateUserKeepingAnAdmin = (uid, { removesAdmin = () => true, lastAdminMessage }, write) => runInTransaction(async (session) => {
+  await db.collection('userLocks').updateOne({ _id: 'admins' }, { $inc: { version: 1 } }, { upsert: true, session });
+  const before = await db.collection('users').findOne({ uid }, { session });
+  if (!before) return null;
+  if (removesAdmin(before) && await isLastActiveAdmin(before, session)) throw new TransactionAbort(409, lastAdminMessage);
+  return { before, result: await write(before, session) };
+});
 
-app.post('/api/candidates/upload', verifyToken, verifyRole(['admin', 'staff']), upload.single('file'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).send('No file uploaded');
+// Runs fn against the user's Firebase account. Returns false when there is nothing to update
+// (Firebase not configured, or a users record that never had a sign-in account).
+const withFirebaseAccount = async (uid, fn) => {
+  if (admin.apps.length === 0) return false;
+  try {
+    await fn(admin.auth());
+    return true;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') return false;
+    throw error;
   }
+};
 
+// Body: { reason? }. The users record is flagged first so verifyToken refuses the uid immediately,
+// then the Firebase account is disabled and its refresh tokens revoked. Repeating the call re-syncs Firebase.
+app.post('/api/users/:uid/deactivate', verifyToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    const filePath = req.file.path;
-    const workbook = xlsx.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-
-   
-    const exWorkbook = new ExcelJS.Workbook();
-    await exWorkbook.xlsx.readFile(filePath);
-    const exSheet = exWorkbook.getWorksheet(1);
-    const imageMap = {}; 
-    const UPLOADS_DIR_LOCAL = process.env.VERCEL || process.env.NODE_ENV === 'production' ? '/tmp/uploads' : 'uploads';
-    const imagesDir = path.join(UPLOADS_DIR_LOCAL, 'candidates');
+    const { uid } = req.params;
+    if (uid === req.user.uid) return res.status(400).send('You cannot deactivate your own account');
 
+    const usersCollection = db.collection('users');
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const deactivated = await updateUserKeepingAnAdmin(uid, { lastAdminMessage: 'Cannot deactivate the last active admin' }, async (user, session) => {
+      if (isAdminUser(user) && !isAdminUser(req.dbUser)) throw new TransactionAbort(403, 'Only admins can deactivate an admin');
+      if (user.deactivatedAt) return {};
+      const changes = { deactivatedAt: new Date(), deactivatedBy: req.user.uid, deactivationReason: reason || null };
+      await usersCollection.updateOne({ uid }, { $set: changes }, { session });
+      return changes;
+    });
+    if (!deactivated) return res.status(404).send('User not found');
+    const { before: user, result: changes } = deactivated;
+
+    const firebaseDisabled = await withFirebaseAccount(uid, async (auth) => {
+      await auth.updateUser(uid, { disabled: true });
+      await auth.revokeRefreshTokens(uid);
+    });
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: uid,
+      before: user,
+      after: { ...user, ...changes },
+      details: { firebaseDisabled }
+    });
+
+    res.json({ message: 'User deactivated', uid, firebaseDisabled });
+  } catch (error) {
+    if (error instanceof TransactionAbort) return error.send(res);
+    console.error('Deactivate User Error:', error);
+    res.status(500).send('Error deactivating user');
+  }
+});
+
+// Re-enables the Firebase account before clearing the flag. Revoked sessions stay revoked, so the user signs in again.
+app.post('/api/users/:uid/reactivate', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const usersCollection = db.collection('users');
+    const user = await usersCollection.findOne({ uid });
+    if (!user) return res.status(404).send('User not found');
+    if (isAdminUser(user) && !isAdminUser(req.dbUser)) return res.status(403).send('Only admins can reactivate an admin');
+    if (!user.deactivatedAt) return res.status(409).send('User is not deactivated');
+
+    const firebaseEnabled = await withFirebaseAccount(uid, (auth) => auth.updateUser(uid, { disabled: false }));
+    const changes = { reactivatedAt: new Date(), reactivatedBy: req.user.uid };
+    await usersCollection.updateOne(
+      { uid },
+      { $set: changes, $unset: { deactivatedAt: '', deactivatedBy: '', deactivationReason: '' } }
+    );
+    const { deactivatedAt, deactivatedBy, deactivationReason, ...rest } = user;
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: uid,
+      before: user,
+      after: { ...rest, ...changes },
+      details: { firebaseEnabled }
+    });
+
+    res.json({ message: 'User reactivated', uid, firebaseEnabled });
+  } catch (error) {
+    console.error('Reactivate User Error:', error);
+    res.status(500).send('Error reactivating user');
+  }
+});
+
+// Deletes the Firebase account and the users record. Candidate records and interview history are kept;
+// candidates assigned to the user become unassigned.
+app.delete('/api/users/:uid', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    if (uid === req.user.uid) return res.status(400).send('You cannot delete your own account');
+
+    const usersCollection = db.collection('users');
+    // Deactivated inside the guard first, so a failed Firebase delete leaves an account that can't sign in
+    // rather than one that could register again
+    const claimed = await updateUserKeepingAnAdmin(uid, { lastAdminMessage: 'Cannot delete the last active admin' }, async (user, session) => {
+      if (isAdminUser(user) && !isAdminUser(req.dbUser)) throw new TransactionAbort(403, 'Only admins can delete an admin');
+      if (!user.deactivatedAt) {
+        await usersCollection.updateOne({ uid }, { $set: { deactivatedAt: new Date(), deactivatedBy: req.user.uid } }, { session });
+      }
+    });
+    if (!claimed) return res.status(404).send('User not found');
+    const { before: user } = claimed;
+
+    const firebaseDeleted = await withFirebaseAccount(uid, (auth) => auth.deleteUser(uid));
+    await usersCollection.deleteOne({ uid });
+    const { modifiedCount: unassigned } = await db.collection('candidates').updateMany(
+      { assignedTo: uid },
+      { $set: { assignedTo: null, updatedAt: new Date() } }
+    );
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: uid,
+      before: user,
+      after: null,
+      details: { firebaseDeleted, unassigned }
+    });
+
+    res.json({ message: 'User deleted', uid, firebaseDeleted, unassigned });
+  } catch (error) {
+    if (error instanceof TransactionAbort) return error.send(res);
+    console.error('Delete User Error:', error);
+    res.status(500).send('Error deleting user');
+  }
+});
+
+// --- Role Management ---
+
+// Returns { value, errors } for a role body. Unknown permissions are rejected rather than dropped.
+const validateRole = (body = {}, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > 200) {
+      errors.push({ field: 'description', message: 'Must be a string of at most 200 characters' });
+    } else {
+      value.description = body.description.trim();
+    }
+  }
+
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) {
+      errors.push({ field: 'permissions', message: 'Must be a list of permissions' });
+    } else {
+      const unknown = body.permissions.filter(permission => !PERMISSIONS[permission]);
+      if (unknown.length > 0) errors.push({ field: 'permissions', message: `Unknown permissions: ${unknown.join(', ')}` });
+      else value.permissions = [...new Set(body.permissions)];
+    }
+  } else if (!partial) {
+    errors.push({ field: 'permissions', message: 'Required' });
+  }
+
+  return { value, errors };
+};
+
+app.get('/api/permissions', verifyToken, requirePermission('users.manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+app.get('/api/roles', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      getRoles(),
+      db.collection('users').aggregate([{ $group: { _id: { $toLower: '$role' }, count: { $sum: 1 } } }]).toArray()
+    ]);
+    res.json(roles.map(role => ({ ...role, userCount: counts.find(c => c._id === role.name)?.count || 0 })));
+  } catch (error) {
+    console.error('Fetch Roles Error:', error);
+    res.status(500).send('Error fetching roles');
+  }
+});
+
+// Body: { name, description?, permissions }
+app.post('/api/roles', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim().toLowerCase();
+    const { value, errors } = validateRole(req.body);
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      errors.unshift({ field: 'name', message: 'Must be 2-32 lowercase letters, digits, - or _, starting with a letter' });
+    }
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (await getRole(name)) return res.status(409).send(`Role ${name} already exists`);
+
+    const now = new Date();
+    const role = { _id: name, description: '', ...value, createdBy: req.user.uid, createdAt: now, updatedAt: now };
+    await db.collection('roles').insertOne(role);
+    await recordAudit(req, { action: 'role.create', targetType: 'role', targetId: name, after: role });
+    res.status(201).json(toRole(name, role));
+  } catch (error) {
+    console.error('Create Role Error:', error);
+    res.status(500).send('Error creating role');
+  }
+});
+
+// Body: { description?, permissions? }. Built-in roles can be edited too, except admin's permissions.
+app.put('/api/roles/:name', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const before = await getRole(name);
+    if (!before) return res.status(404).send('Role not found');
+
+    const { value, errors } = validateRole(req.body, { partial: true });
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (name === 'admin' && value.permissions) {
+      return res.status(400).send('The admin role always has every permission');
+    }
+
+    await db.collection('roles').updateOne(
+      { _id: name },
+      { $set: { ...value, updatedBy: req.user.uid, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    const role = await getRole(name);
+    await recordAudit(req, { action: 'role.update', targetType: 'role', targetId: name, before, after: role });
+    res.json(role);
+  } catch (error) {
+    console.error('Update Role Error:', error);
+    res.status(500).send('Error updating role');
+  }
+});
+
+// Only custom roles nobody holds can be deleted
+app.delete('/api/roles/:name', verifyToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const role = await getRole(name);
+    if (!role) return res.status(404).send('Role not found');
+    if (role.builtIn) return res.status(400).send('Built-in roles cannot be deleted');
+
+    const holders = await db.collection('users').countDocuments({ role: new RegExp(`^${escapeRegex(name)}$`, 'i') });
+    if (holders > 0) return res.status(409).send(`Role is still assigned to ${holders} user(s)`);
+
+    await db.collection('roles').deleteOne({ _id: name });
+    await recordAudit(req, { action: 'role.delete', targetType: 'role', targetId: name, before: role, after: null });
+    res.json({ message: 'Role deleted', name });
+  } catch (error) {
+    console.error('Delete Role Error:', error);
+    res.status(500).send('Error deleting role');
+  }
+});
+
+
+const UPLOADS_DIR = process.env.VERCEL || process.env.NODE_ENV === 'production' ? '/tmp/uploads' : 'uploads';
+
+
+try {
+  if (!fs.existsSync(UPLOADS_DIR)) {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  }
+} catch (err) {
+  console.warn(`WARNING: Could not create base uploads dir: ${err.message}`);
+}
+
+const PROFILE_DIR = path.join(UPLOADS_DIR, 'profiles');
+try {
+  if (!fs.existsSync(PROFILE_DIR)) {
+    fs.mkdirSync(PROFILE_DIR, { recursive: true });
+  }
+} catch (err) {
+  console.warn(`WARNING: Could not create profile uploads dir: ${err.message}`);
+}
+
+const profileStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
    
-    try {
-      if (!fs.existsSync(imagesDir)) fs.mkdirSync(imagesDir, { recursive: true });
-    } catch (e) { console.warn('Warning creating Excel images dir:', e.message); }
-
-    exSheet.getImages().forEach((image) => {
-      const img = exWorkbook.model.media[image.imageId];
-      const row = Math.floor(image.range.tl.row); // 0-indexed row in Excel
-      let extension = img.extension;
-      const buffer = img.buffer;
-
-      
-      if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
-        extension = 'png';
-      } else if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
-        extension = 'jpg';
-      } else if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) {
-        extension = 'gif';
-      }
-      
-      if (['emf', 'wmf'].includes(extension.toLowerCase())) {
-        console.log(`Skipping non-browser format: ${extension} at row ${row}`);
+    if (!fs.existsSync(PROFILE_DIR)) {
+      try { fs.mkdirSync(PROFILE_DIR, { recursive: true }); } catch (e) { }
+    }
+    cb(null, PROFILE_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `profile-${Date.now()}-${file.originalname}`);
+  }
+});
+const profileUpload = multer({ storage: profileStorage });
+
+app.patch('/api/users/update-profile', verifyToken, profileUpload.single('photo'), async (req, res) => {
+  
+  try {
+    const { name } = req.body;
+    const uid = req.user.uid;
+    const email = req.user.email;
+
+   
+    let photoUrl = null;
+    if (req.file) {
+     
+      photoUrl = `/uploads/profiles/${req.file.filename}`;
+    }
+
+    const usersCollection = db.collection('users');
+    const candidatesCollection = db.collection('candidates');
+
+    const { value: profile, errors } = validateCandidate({ name: name || undefined }, { partial: true });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const updateData = {};
+    if (profile.name) updateData.name = profile.name;
+    if (photoUrl) updateData.photo = photoUrl;
+    updateData.updatedAt = new Date();
+
+    
+    const before = await usersCollection.findOneAndUpdate({ uid }, { $set: updateData });
+
+    
+    const user = await usersCollection.findOne({ uid });
+    if (user && user.role === 'candidate') {
+      await candidatesCollection.updateOne(
+        { email },
+        { $set: { ...updateData } }
+      );
+    }
+    if (before) {
+      await recordAudit(req, { action: 'user.profile_update', targetType: 'user', targetId: uid, before, after: user });
+    }
+
+    res.json({ message: 'Profile updated successfully', photo: photoUrl, name });
+  } catch (error) {
+    console.error('Profile Update Error:', error);
+    res.status(500).send('Error updating profile');
+  }
+});
+
+
+// --- File Storage ---
+
+// Uploads that must outlive the request (import sources, CVs) go to GridFS: serverless
+// instances only have a per-instance /tmp that is gone by the next invocation.
+const getBucket = (bucketName) => new GridFSBucket(db, { bucketName });
+
+const storeFile = (bucketName, buffer, fileName, metadata = {}) => new Promise((resolve, reject) => {
+  const uploadStream = getBucket(bucketName).openUploadStream(fileName, { metadata });
+  uploadStream.once('error', reject);
+  uploadStream.once('finish', () => resolve(uploadStream.id));
+  uploadStream.end(buffer);
+});
+
+const readStoredFile = async (bucketName, fileId) => {
+  const chunks = [];
+  for await (const chunk of getBucket(bucketName).openDownloadStream(fileId)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Returns false when the file was already gone, so cleanup can safely be repeated
+const deleteStoredFile = async (bucketName, fileId) => {
+  try {
+    await getBucket(bucketName).delete(fileId);
+    return true;
+  } catch (error) {
+    if (/not found/i.test(error.message)) return false;
+    throw error;
+  }
+};
+
+// --- Candidate Import Helpers ---
+
+const normalizeHeader = (cell) => String(cell || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Built-in import profile. Admin-managed profiles in `importProfiles` override
+// any of these keys; whatever a profile leaves out falls back to this one.
+const DEFAULT_IMPORT_PROFILE = {
+  name: 'Default',
+  headerKeywords: ['name', 'email', 'phone', 'contact', 'mobile', 'experience', 'age'],
+  // Normalized header keys tried (in order) for each candidate field
+  fieldAliases: {
+    name: ['name', 'candidate', 'fullname', 'applicantname', 'candidatesname'],
+    email: ['email', 'emailaddress', 'eaddress'],
+    phone: ['phone', 'phonenumber', 'contact', 'mobile', 'cell'],
+    experience_years: ['experienceyears', 'yearsofexperience', 'experience', 'totalexperience', 'yearsexperience'],
+    age: ['age', 'candidateage', 'ageyrs'],
+    previous_experience: ['previousexperience']
+  },
+  // Applied to the whole row as text when email or phone is missing.
+  // name and age use their first capture group.
+  fallbackPatterns: {
+    email: { pattern: '[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}', flags: '' },
+    phone: { pattern: '\\+?[0-9][0-9\\-\\s]{8,15}', flags: '' },
+    name: { pattern: 'Name:\\s*(.*?)\\s*(?:Age|Location|University|Degree|$)', flags: 'i' },
+    age: { pattern: 'Age:\\s*([\\d.]+)', flags: 'i' }
+  },
+  // Rows containing any of these (case-insensitive) are footers, not candidates
+  ignoreRowPatterns: ['bdjobs', 'powered']
+};
+
+const IMPORT_FIELDS = Object.keys(DEFAULT_IMPORT_PROFILE.fieldAliases);
+
+// Merges a stored profile over the default and compiles its regexes
+const compileImportProfile = (profile = {}) => {
+  const fieldAliases = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const aliases = profile.fieldAliases?.[field] || DEFAULT_IMPORT_PROFILE.fieldAliases[field];
+    fieldAliases[field] = aliases.map(normalizeHeader).filter(Boolean);
+  });
+
+  const fallbackPatterns = {};
+  Object.keys(DEFAULT_IMPORT_PROFILE.fallbackPatterns).forEach((field) => {
+    const { pattern, flags } = profile.fallbackPatterns?.[field] || DEFAULT_IMPORT_PROFILE.fallbackPatterns[field];
+    // g/y make match() return every hit or depend on lastIndex; profiles saved before they were rejected may have them
+    fallbackPatterns[field] = new RegExp(pattern, (flags || '').replace(/[gy]/g, ''));
+  });
+
+  return {
+    _id: profile._id || null,
+    name: profile.name || DEFAULT_IMPORT_PROFILE.name,
+    headerKeywords: (profile.headerKeywords || DEFAULT_IMPORT_PROFILE.headerKeywords).map(normalizeHeader).filter(Boolean),
+    fieldAliases,
+    fallbackPatterns,
+    ignoreRowPatterns: (profile.ignoreRowPatterns || DEFAULT_IMPORT_PROFILE.ignoreRowPatterns).map(p => String(p).toLowerCase())
+  };
+};
+
+const extractWorkbookImages = async (buffer) => {
+  const exWorkbook = new ExcelJS.Workbook();
+  await exWorkbook.xlsx.load(buffer);
+  const exSheet = exWorkbook.getWorksheet(1);
+  const imagesDir = path.join(UPLOADS_DIR, 'candidates');
+
+  try {
+    if (!fs.existsSync(imagesDir)) fs.mkdirSync(imagesDir, { recursive: true });
+  } catch (e) { console.warn('Warning creating Excel images dir:', e.message); }
+
+  // Keep only the largest image anchored to a row
+  const bestByRow = {};
+  exSheet.getImages().forEach((image) => {
+    const img = exWorkbook.model.media[image.imageId];
+    const row = Math.floor(image.range.tl.row); // 0-indexed row in Excel
+    let extension = img.extension;
+    const imgBuffer = img.buffer;
+
+    if (imgBuffer[0] === 0x89 && imgBuffer[1] === 0x50 && imgBuffer[2] === 0x4E && imgBuffer[3] === 0x47) {
+      extension = 'png';
+    } else if (imgBuffer[0] === 0xFF && imgBuffer[1] === 0xD8 && imgBuffer[2] === 0xFF) {
+      extension = 'jpg';
+    } else if (imgBuffer[0] === 0x47 && imgBuffer[1] === 0x49 && imgBuffer[2] === 0x46) {
+      extension = 'gif';
+    }
+
+    if (['emf', 'wmf'].includes(extension.toLowerCase())) {
+      console.log(`Skipping non-browser format: ${extension} at row ${row}`);
+      return;
+    }
+
+    if (bestByRow[row] && imgBuffer.length <= bestByRow[row].buffer.length) return;
+    bestByRow[row] = { buffer: imgBuffer, extension };
+  });
+
+  const imageMap = {};
+  await Promise.all(Object.keys(bestByRow).map(async (row) => {
+    const fileName = `photo-${Date.now()}-${row}.${bestByRow[row].extension}`;
+    await fs.promises.writeFile(path.join(imagesDir, fileName), bestByRow[row].buffer);
+    imageMap[row] = `/uploads/candidates/${fileName}`;
+  }));
+
+  return imageMap;
+};
+
+const findHeaderRow = (rows, profile) => {
+  for (let i = 0; i < Math.min(rows.length, 20); i++) {
+    const row = rows[i];
+    if (!row || !Array.isArray(row)) continue;
+
+    const normalizedRow = row.map(normalizeHeader);
+    const matchCount = normalizedRow.filter(cell => profile.headerKeywords.some(k => cell.includes(k))).length;
+
+    if (matchCount >= 2) return i;
+  }
+  return -1;
+};
+
+// Resolves each field to the header keys it reads from. Overrides may name a
+// column by its header text (or normalized key), or a list of them.
+const buildColumnMapping = (headers, profile, overrides = {}) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    if (overrides[field] !== undefined && overrides[field] !== null) {
+      const keys = Array.isArray(overrides[field]) ? overrides[field] : [overrides[field]];
+      mapping[field] = keys.map(normalizeHeader).filter(key => headers.includes(key));
+    } else {
+      mapping[field] = profile.fieldAliases[field].filter(key => headers.includes(key));
+    }
+  });
+  return mapping;
+};
+
+const describeColumns = (headerRow, headers, mapping) => {
+  const columns = [];
+  for (let idx = 0; idx < headerRow.length; idx++) {
+    const key = headers[idx];
+    if (!key) continue;
+    const field = Object.keys(mapping).find(f => mapping[f].includes(key)) || null;
+    columns.push({ index: idx, header: String(headerRow[idx]).trim(), key, field });
+  }
+  return columns;
+};
+
+// Turns raw sheet rows into candidate records without touching the database
+const parseCandidateRows = (rows, imageMap, options = {}) => {
+  const profile = options.profile || compileImportProfile();
+  const headerRowIndex = options.headerRowIndex !== undefined ? Number(options.headerRowIndex) : findHeaderRow(rows, profile);
+  if (headerRowIndex < 0 || !Array.isArray(rows[headerRowIndex])) return null;
+
+  const headerRow = rows[headerRowIndex];
+  const headers = Array.from(headerRow, normalizeHeader);
+  const mapping = buildColumnMapping(headers, profile, options.mapping);
+  const hasImages = Object.keys(imageMap).length > 0;
+  const candidates = [];
+  const skipped = [];
+
+  rows.slice(headerRowIndex + 1).forEach((rowData, offset) => {
+    if (!rowData || rowData.length === 0) return;
+    const rowIndex = headerRowIndex + 1 + offset;
+    const warnings = [];
+
+    const item = {};
+    rowData.forEach((val, idx) => {
+      if (headers[idx]) item[headers[idx]] = val;
+    });
+
+    const pick = (field) => {
+      for (const key of mapping[field]) {
+        if (item[key]) return item[key];
+      }
+      return undefined;
+    };
+
+    let name = pick('name');
+    let email = pick('email');
+    let phone = pick('phone');
+    let exp = pick('experience_years');
+    let age = pick('age');
+
+    // Some exports pack everything into one cell, e.g. "Name: ... Age: ..."
+    const compositeString = Array.from(rowData, c => String(c || '').trim()).join(' ');
+
+    if ((!email || !phone) && compositeString.includes(':')) {
+      const emailMatch = compositeString.match(profile.fallbackPatterns.email);
+      if (emailMatch && !email) {
+        email = emailMatch[0];
+        warnings.push('Email extracted from free text');
+      }
+
+      const phoneMatch = compositeString.match(profile.fallbackPatterns.phone);
+      if (phoneMatch && !phone) {
+        phone = phoneMatch[0].trim();
+        warnings.push('Phone extracted from free text');
+      }
+
+      const nameMatch = compositeString.match(profile.fallbackPatterns.name);
+      if (nameMatch?.[1] && (!name || String(name).length > 50)) {
+        name = nameMatch[1].trim();
+        warnings.push('Name extracted from free text');
+      }
+
+      const ageMatch = compositeString.match(profile.fallbackPatterns.age);
+      if (ageMatch?.[1] && !age) {
+        age = ageMatch[1];
+        warnings.push('Age extracted from free text');
+      }
+    }
+
+    if (!name || (!email && !phone)) {
+      const rowStr = JSON.stringify(item).toLowerCase();
+      if (profile.ignoreRowPatterns.some(p => rowStr.includes(p))) return;
+      if (candidates.length > 0 && !name && !email) return;
+
+      skipped.push({ row: rowIndex + 1, reason: `Skipped: Missing Name/Email. Found: ${name || 'N/A'}, ${email || 'N/A'}` });
+      return;
+    }
+
+    if (!email) warnings.push('Missing email');
+    if (!phone) warnings.push('Missing phone');
+    if (exp && isNaN(Number(exp))) warnings.push(`Experience "${exp}" is not a number, defaulting to 0`);
+    if (age && isNaN(Number(age))) warnings.push(`Age "${age}" is not a number, defaulting to 0`);
+
+    const photo = imageMap[rowIndex] || '';
+    if (!photo && hasImages) warnings.push('No photo found for this row');
+
+    const { value: candidate, errors: fieldErrors } = validateCandidate({
+      name,
+      email,
+      phone: String(phone || ''),
+      experience_years: Number(exp) || 0,
+      previous_experience: pick('previous_experience') || [],
+      age: Number(age) || 0,
+      photo,
+      status: 'pending'
+    });
+
+    if (fieldErrors.length > 0) {
+      const details = fieldErrors.map(e => `${e.field}: ${e.message}`).join('; ');
+      skipped.push({ row: rowIndex + 1, reason: `Skipped: Invalid data for ${name} (${details})`, fieldErrors });
+      return;
+    }
+
+    candidates.push({
+      row: rowIndex + 1,
+      warnings,
+      candidate
+    });
+  });
+
+  return {
+    headerRowIndex,
+    headerRow: Array.from(headerRow, cell => (cell === undefined || cell === null ? '' : cell)),
+    columns: describeColumns(headerRow, headers, mapping),
+    mapping,
+    candidates,
+    skipped
+  };
+};
+
+// Flags rows whose email already exists in the collection or earlier in the file
+const markDuplicateEmails = async (parsed) => {
+  const emails = parsed.candidates.map(c => c.candidate.email).filter(Boolean);
+  const existing = emails.length > 0
+    ? await db.collection('candidates').find({ email: { $in: emails } }, { projection: { email: 1, photo: 1, deletedAt: 1 } }).toArray()
+    : [];
+  const existingByEmail = new Map(existing.map(c => [c.email, c]));
+  const seen = new Set();
+
+  parsed.candidates.forEach((entry) => {
+    const { email } = entry.candidate;
+    if (!email) return;
+    if (existingByEmail.has(email)) {
+      const match = existingByEmail.get(email);
+      entry.duplicate = true;
+      if (match.deletedAt) {
+        entry.warnings.push('Email belongs to a candidate in the trash, row will be skipped');
+        seen.add(email);
         return;
       }
+      entry.warnings.push(entry.candidate.photo && !match.photo
+        ? 'Email already exists, only the photo will be added to the existing record'
+        : 'Email already exists, row will be skipped');
+    } else if (seen.has(email)) {
+      entry.duplicate = true;
+      entry.warnings.push('Email appears earlier in this file, row will be skipped');
+    }
+    seen.add(email);
+  });
+
+  return parsed;
+};
+
+const IMPORT_BATCH_SIZE = 100;
+
+// Previews keep the raw rows until they are committed. Rows are stored in chunks in
+// importPreviewRows so a large sheet never hits the 16 MB document limit.
+const IMPORT_PREVIEW_MAX_ROWS = 20000;
+const IMPORT_PREVIEW_CHUNK_ROWS = 500;
+const IMPORT_PREVIEW_TTL_HOURS = 24;
+// A commit still running after this long has died with its invocation
+const IMPORT_STALE_MINUTES = 30;
+
+const saveImportPreviewRows = async (previewId, rows, expiresAt) => {
+  const chunks = [];
+  for (let start = 0; start < rows.length; start += IMPORT_PREVIEW_CHUNK_ROWS) {
+    chunks.push({ previewId, index: chunks.length, rows: rows.slice(start, start + IMPORT_PREVIEW_CHUNK_ROWS), expiresAt });
+  }
+  if (chunks.length > 0) await db.collection('importPreviewRows').insertMany(chunks);
+};
+
+const loadImportPreviewRows = async (preview) => {
+  if (preview.rows) return preview.rows; // previews stored before rows were chunked
+  const chunks = await db.collection('importPreviewRows')
+    .find({ previewId: preview._id })
+    .sort({ index: 1 })
+    .toArray();
+  return chunks.flatMap(chunk => chunk.rows);
+};
+
+// Photos extracted for a preview that no candidate ended up using
+const removeUnusedImportPhotos = async (imageMap = {}) => {
+  let removed = 0;
+  for (const photo of Object.values(imageMap)) {
+    if (await removeCandidatePhoto(photo)) removed++;
+  }
+  return removed;
+};
+
+// Uncommitted previews expire after IMPORT_PREVIEW_TTL_HOURS. Runs from maintenance.
+const cleanupExpiredImportPreviews = async (now = new Date()) => {
+  const previewsCollection = db.collection('importPreviews');
+  // A commit that crashed or timed out leaves its preview in 'committing'. Hand it back to the uploader:
+  // committing again skips the candidates that did get saved, and the expiry below still applies.
+  const stale = await previewsCollection.updateMany(
+    {
+      status: 'committing',
+      $or: [{ committingAt: { $lte: new Date(now.getTime() - IMPORT_STALE_MINUTES * 60000) } }, { committingAt: null }]
+    },
+    { $set: { status: 'pending' }, $unset: { committingAt: '' } }
+  );
+
+  const expired = await previewsCollection
+    .find({ status: 'pending', expiresAt: { $lte: now } }, { projection: { imageMap: 1 } })
+    .toArray();
+
+  let photosRemoved = 0;
+  for (const preview of expired) {
+    // Claim it so a commit racing the cleanup can't use photos that are being deleted
+    const claim = await previewsCollection.deleteOne({ _id: preview._id, status: 'pending' });
+    if (claim.deletedCount === 0) continue;
+    await db.collection('importPreviewRows').deleteMany({ previewId: preview._id });
+    photosRemoved += await removeUnusedImportPhotos(preview.imageMap);
+  }
+  return { previewsRecovered: stale.modifiedCount, previewsExpired: expired.length, photosRemoved };
+};
+
+// Writes one batch of candidates, skipping duplicate emails (but back-filling a missing photo).
+// One lookup per batch; pass a session to make the batch part of a transaction.
+const saveCandidateBatch = async (candidates, { uid, initialStage, session }) => {
+  const candidatesCollection = db.collection('candidates');
+  const emails = candidates.map(candidate => candidate.email).filter(Boolean);
+  const errors = [];
+  const seen = new Set();
+  let added = 0;
+  let updated = 0;
+
+  // Check Duplicate Email
+  const existingList = emails.length > 0
+    ? await candidatesCollection.find({ email: { $in: emails } }, { projection: { email: 1, photo: 1, deletedAt: 1 }, session }).toArray()
+    : [];
+  const existingByEmail = new Map(existingList.map(c => [c.email, c]));
+  const processed = [];
+
+  for (const candidate of candidates) {
+    const { email, photo } = candidate;
+    const existing = email ? existingByEmail.get(email) : null;
+
+    if (existing?.deletedAt) {
+      errors.push(`Skipped: Email ${email} belongs to a candidate in the trash`);
+      continue;
+    }
+    if (existing || (email && seen.has(email))) {
+      if (existing && photo && !existing.photo) {
+        await candidatesCollection.updateOne({ _id: existing._id }, { $set: { photo } }, { session });
+        existing.photo = photo;
+        updated++;
+        continue;
+      }
+      errors.push(`Skipped: Email ${email} already exists`);
+      continue;
+    }
+    if (email) seen.add(email);
+
+    processed.push(buildNewCandidate(candidate, uid, initialStage, 'Imported'));
+  }
+
+  if (processed.length > 0) {
+    await candidatesCollection.insertMany(processed, { session });
+    added += processed.length;
+  }
+  return { added, updated, errors };
+};
+
+// Writes all parsed candidates in batches. Later batches find the earlier ones in the
+// database, so duplicates within the file are skipped too.
+const saveParsedCandidates = async (parsed, uid) => {
+  const { initialStage } = await getPipeline();
+  const errors = parsed.skipped.map(s => s.reason);
+  let added = 0;
+  let updated = 0;
+
+  for (let start = 0; start < parsed.candidates.length; start += IMPORT_BATCH_SIZE) {
+    const batch = parsed.candidates.slice(start, start + IMPORT_BATCH_SIZE).map(entry => entry.candidate);
+    const result = await saveCandidateBatch(batch, { uid, initialStage });
+    added += result.added;
+    updated += result.updated;
+    errors.push(...result.errors);
+  }
+
+  return { added, updated, skipped: errors.length, errors };
+};
+
+// Hands the same buffer to both parsers
+const readCandidateWorkbook = async (buffer) => {
+  const workbook = xlsx.read(buffer);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+  const imageMap = await extractWorkbookImages(buffer);
+  return { rows, imageMap };
+};
+
+// Decodes text uploads: honours a BOM, otherwise UTF-8 with a Windows-1252 fallback
+const decodeTextBuffer = (buffer) => {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.subarray(3).toString('utf8');
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (e) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Picks the delimiter that gives the most lines the same (non-zero) column count
+const detectCsvDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+  const countOutsideQuotes = (line, delimiter) => {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+      if (char === '"') inQuotes = !inQuotes;
+      else if (char === delimiter && !inQuotes) count++;
+    }
+    return count;
+  };
+
+  let best = { delimiter: ',', lines: 0, columns: 0 };
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const frequency = {};
+    lines.forEach((line) => {
+      const count = countOutsideQuotes(line, delimiter);
+      if (count > 0) frequency[count] = (frequency[count] || 0) + 1;
+    });
+    Object.entries(frequency).forEach(([columns, count]) => {
+      if (count > best.lines || (count === best.lines && Number(columns) > best.columns)) {
+        best = { delimiter, lines: count, columns: Number(columns) };
+      }
+    });
+  });
+  return best.delimiter;
+};
+
+// Lays JSON records out like a sheet: a header row of every key, then one row per record
+const jsonRecordsToRows = (records) => {
+  const keys = [];
+  records.forEach((record) => {
+    if (record && typeof record === 'object') {
+      Object.keys(record).forEach((key) => {
+        if (!keys.includes(key)) keys.push(key);
+      });
+    }
+  });
+  return [keys, ...records.map(record => keys.map(key => (record && typeof record === 'object' ? record[key] : undefined)))];
+};
+
+const IMPORT_FILE_TYPES = { '.xlsx': 'excel', '.csv': 'csv', '.tsv': 'csv', '.txt': 'csv', '.json': 'json' };
+
+const getImportFileType = (fileName) => IMPORT_FILE_TYPES[path.extname(fileName || '').toLowerCase()] || null;
+
+// Reads any supported upload into sheet-style rows so every source shares the same parser.
+// JSON has no title rows, so its header row is known up front.
+const readCandidateFile = async (buffer, fileName) => {
+  const type = getImportFileType(fileName);
+  if (type === 'excel') return readCandidateWorkbook(buffer);
+
+  const text = decodeTextBuffer(buffer);
+
+  if (type === 'csv') {
+    // raw keeps values as text so phone numbers keep their leading zeros
+    const workbook = xlsx.read(text, { type: 'string', FS: detectCsvDelimiter(text), raw: true });
+    const rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+    return { rows, imageMap: {} };
+  }
+
+  if (type === 'json') {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data?.candidates;
+    if (!Array.isArray(records)) throw new Error('JSON must be an array of candidates or { "candidates": [...] }');
+    return { rows: jsonRecordsToRows(records), imageMap: {}, headerRowIndex: 0 };
+  }
+
+  throw new Error(`Unsupported file type: ${path.extname(fileName || '') || 'unknown'}`);
+};
+
+// name and age read their value from the first capture group, email and phone use the whole match
+const FALLBACK_CAPTURE_FIELDS = ['name', 'age'];
+
+// Checks an admin-submitted profile and returns the fields to store
+const sanitizeImportProfile = (body = {}) => {
+  const profile = {};
+  const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim());
+
+  if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Profile name is required' };
+  profile.name = body.name.trim();
+
+  if (body.headerKeywords !== undefined) {
+    if (!isStringList(body.headerKeywords)) return { error: 'headerKeywords must be a list of strings' };
+    profile.headerKeywords = body.headerKeywords;
+  }
+
+  if (body.fieldAliases !== undefined) {
+    if (!body.fieldAliases || typeof body.fieldAliases !== 'object') return { error: 'fieldAliases must be an object' };
+    profile.fieldAliases = {};
+    for (const [field, aliases] of Object.entries(body.fieldAliases)) {
+      if (!IMPORT_FIELDS.includes(field)) return { error: `Unknown field in fieldAliases: ${field}` };
+      if (!isStringList(aliases)) return { error: `Aliases for ${field} must be a list of strings` };
+      profile.fieldAliases[field] = aliases;
+    }
+  }
+
+  if (body.fallbackPatterns !== undefined) {
+    if (!body.fallbackPatterns || typeof body.fallbackPatterns !== 'object') return { error: 'fallbackPatterns must be an object' };
+    profile.fallbackPatterns = {};
+    for (const [field, value] of Object.entries(body.fallbackPatterns)) {
+      if (!DEFAULT_IMPORT_PROFILE.fallbackPatterns[field]) return { error: `Unknown field in fallbackPatterns: ${field}` };
+      const { pattern, flags = '' } = typeof value === 'string' ? { pattern: value } : (value || {});
+      if (typeof pattern !== 'string' || !pattern) return { error: `Pattern for ${field} is required` };
+      if (typeof flags !== 'string' || /[gy]/.test(flags)) return { error: `Pattern for ${field} cannot use the g or y flags` };
+      try {
+        new RegExp(pattern, flags);
+      } catch (e) {
+        return { error: `Invalid pattern for ${field}: ${e.message}` };
+      }
+      // Matching the empty alternative reports how many capture groups the pattern has
+      const groups = new RegExp(`${pattern}|`, flags).exec('').length - 1;
+      if (FALLBACK_CAPTURE_FIELDS.includes(field) && groups < 1) {
+        return { error: `Pattern for ${field} needs a capture group around the value` };
+      }
+      profile.fallbackPatterns[field] = { pattern, flags };
+    }
+  }
+
+  if (body.ignoreRowPatterns !== undefined) {
+    if (!isStringList(body.ignoreRowPatterns)) return { error: 'ignoreRowPatterns must be a list of strings' };
+    profile.ignoreRowPatterns = body.ignoreRowPatterns;
+  }
+
+  return { profile };
+};
+
+// Uses the requested profile, otherwise the one whose aliases match the most
+// header columns. The built-in profile wins ties.
+const selectImportProfile = async (rows, profileId) => {
+  const profilesCollection = db.collection('importProfiles');
+
+  if (profileId) {
+    if (!ObjectId.isValid(profileId)) return { error: 'Invalid import profile id' };
+    const stored = await profilesCollection.findOne({ _id: new ObjectId(profileId) });
+    if (!stored) return { error: 'Import profile not found' };
+    return { profile: stored };
+  }
+
+  const scoreProfile = (compiled) => {
+    const headerRowIndex = findHeaderRow(rows, compiled);
+    if (headerRowIndex === -1) return -1;
+    const aliases = new Set(Object.values(compiled.fieldAliases).flat());
+    return Array.from(rows[headerRowIndex], normalizeHeader).filter(key => aliases.has(key)).length;
+  };
+
+  let best = { profile: null, score: scoreProfile(compileImportProfile()) };
+  const stored = await profilesCollection.find({}).toArray();
+  stored.forEach((profile) => {
+    const score = scoreProfile(compileImportProfile(profile));
+    if (score > best.score) best = { profile, score };
+  });
+
+  return { profile: best.profile };
+};
+
+// Loads a job's source file: GridFS for current jobs, the local path for jobs queued before that
+const readImportJobFile = async (job) => {
+  if (job.fileId) {
+    try {
+      return await readStoredFile('importFiles', job.fileId);
+    } catch (error) {
+      throw new Error('Uploaded file is no longer available, please upload it again');
+    }
+  }
+  if (!job.filePath || !fs.existsSync(job.filePath)) {
+    throw new Error('Uploaded file is no longer available, please upload it again');
+  }
+  return fs.promises.readFile(job.filePath);
+};
+
+// Import jobs run in bounded steps so no single invocation has to get through a whole file: the
+// first step parses the file into chunks of IMPORT_BATCH_SIZE rows in importJobRows, later steps
+// save chunks until IMPORT_STEP_SECONDS are used up. Each chunk is saved in the same transaction
+// that advances nextChunk, so a step cut off by a time limit is resumed without saving anything twice.
+const IMPORT_ACTIVE_STATUSES = ['queued', 'processing'];
+const IMPORT_STEP_SECONDS = Number(process.env.IMPORT_STEP_SECONDS) || 8;
+// Must outlast the longest step. A step that dies holds the job until its lease runs out.
+const IMPORT_LEASE_MINUTES = 5;
+const IMPORT_MAX_INTERRUPTIONS = 3;
+const IMPORT_JOBS_PER_RUN = 3;
+
+const failImportJob = (jobId, reason) => db.collection('importJobs').updateOne(
+  { _id: jobId },
+  { $set: { status: 'failed', failureReason: reason, finishedAt: new Date() }, $unset: { lockedUntil: '' } }
+).catch(() => { });
+
+// First step: reads and parses the file, then stores the candidates in chunks
+const prepareImportJob = async (job) => {
+  const buffer = await readImportJobFile(job);
+  const { rows, imageMap, headerRowIndex } = await readCandidateFile(buffer, job.fileName);
+  const selected = await selectImportProfile(rows, job.profileId);
+  if (selected.error) throw new Error(selected.error);
+
+  const parsed = parseCandidateRows(rows, imageMap, { profile: compileImportProfile(selected.profile || {}), headerRowIndex });
+  if (!parsed) throw new Error('Could not find candidate data headers (Name, Email, etc.) in the file.');
+
+  // A prepare step that was cut off may have left some chunks behind
+  const rowsCollection = db.collection('importJobRows');
+  await rowsCollection.deleteMany({ jobId: job._id });
+  const chunks = [];
+  for (let start = 0; start < parsed.candidates.length; start += IMPORT_BATCH_SIZE) {
+    const candidates = parsed.candidates.slice(start, start + IMPORT_BATCH_SIZE).map(entry => entry.candidate);
+    chunks.push({ jobId: job._id, index: chunks.length, candidates });
+  }
+  if (chunks.length > 0) await rowsCollection.insertMany(chunks);
+
+  const errors = parsed.skipped.map(s => s.reason);
+  await db.collection('importJobs').updateOne({ _id: job._id }, {
+    $set: {
+      status: 'processing',
+      profile: selected.profile?.name || DEFAULT_IMPORT_PROFILE.name,
+      totalRows: parsed.candidates.length,
+      chunkCount: chunks.length,
+      nextChunk: 0,
+      rowsProcessed: 0,
+      added: 0,
+      updated: 0,
+      skipped: errors.length,
+      errors
+    }
+  });
+};
+
+// Saves chunk `index` unless another step already did
+const saveImportChunk = async (job, index, initialStage) => {
+  const chunk = await db.collection('importJobRows').findOne({ jobId: job._id, index });
+  if (!chunk) throw new Error('Import data is no longer available, please upload the file again');
+
+  const jobsCollection = db.collection('importJobs');
+  await runInTransaction(async (session) => {
+    const current = await jobsCollection.findOne({ _id: job._id, nextChunk: index }, { projection: { _id: 1 }, session });
+    if (!current) return;
+    const result = await saveCandidateBatch(chunk.candidates, { uid: job.createdBy, initialStage, session });
+    await jobsCollection.updateOne({ _id: job._id }, {
+      $set: { nextChunk: index + 1 },
+      $inc: { added: result.added, updated: result.updated, skipped: result.errors.length, rowsProcessed: chunk.candidates.length },
+      $push: { errors: { $each: result.errors } }
+    }, { session });
+  });
+};
+
+const finishImportJob = async (job) => {
+  await db.collection('importJobs').updateOne(
+    { _id: job._id },
+    { $set: { status: 'completed', finishedAt: new Date() }, $unset: { lockedUntil: '' } }
+  );
+  await db.collection('importJobRows').deleteMany({ jobId: job._id });
+  if (job.fileId) await deleteStoredFile('importFiles', job.fileId).catch(() => { });
+  else try { fs.unlinkSync(job.filePath); } catch (e) { }
+};
+
+// Runs one step of the job under a lease. Returns true when the job has more work left.
+// Never throws: failures are recorded on the job and the source file is kept for a retry.
+const runImportStep = async (jobId) => {
+  const jobsCollection = db.collection('importJobs');
+  const now = new Date();
+  const job = await jobsCollection.findOneAndUpdate(
+    { _id: jobId, status: { $in: IMPORT_ACTIVE_STATUSES }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: new Date(now.getTime() + IMPORT_LEASE_MINUTES * 60000) } },
+    { returnDocument: 'before' }
+  ).catch((error) => {
+    console.error('Import Job Error:', error);
+    return null;
+  });
+  if (!job) return false;
+
+  try {
+    // An expired lease means the previous step died without releasing it
+    if (job.lockedUntil) {
+      const interruptions = (job.interruptions || 0) + 1;
+      if (interruptions > IMPORT_MAX_INTERRUPTIONS) {
+        await failImportJob(job._id, 'The import was interrupted too many times');
+        return false;
+      }
+      await jobsCollection.updateOne({ _id: job._id }, { $set: { interruptions } });
+    }
+
+    const deadline = now.getTime() + IMPORT_STEP_SECONDS * 1000;
+    if (job.chunkCount === undefined) {
+      await jobsCollection.updateOne({ _id: job._id }, { $set: { startedAt: now }, $inc: { attempts: 1 } });
+      await prepareImportJob(job);
+    }
+
+    const { initialStage } = await getPipeline();
+    let current = await jobsCollection.findOne({ _id: job._id });
+    while (current.nextChunk < current.chunkCount && Date.now() < deadline) {
+      await saveImportChunk(current, current.nextChunk, initialStage);
+      current = await jobsCollection.findOne({ _id: job._id });
+    }
+
+    if (current.nextChunk >= current.chunkCount) {
+      await finishImportJob(current);
+      return false;
+    }
+    await jobsCollection.updateOne({ _id: job._id }, { $unset: { lockedUntil: '' } });
+    return true;
+  } catch (error) {
+    console.error('Import Job Error:', error);
+    await failImportJob(job._id, error.message);
+    return false;
+  }
+};
+
+// A long-running server works through the whole job in the background. On serverless the
+// step runs right after the response (waitUntil keeps the invocation alive for it); every
+// poll of GET /api/imports/:id starts the next one, and the maintenance cron picks up the rest.
+const scheduleImportJob = (jobId) => {
+  if (RUNS_SERVERLESS) {
+    waitUntil(runImportStep(jobId));
+    return;
+  }
+  setImmediate(async () => {
+    while (await runImportStep(jobId)) { /* next step */ }
+  });
+};
+
+// Maintenance step: advances the oldest active jobs by one step each
+const runQueuedImportJobs = async (now = new Date()) => {
+  const due = await db.collection('importJobs')
+    .find(
+      { status: { $in: IMPORT_ACTIVE_STATUSES }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { projection: { _id: 1 } }
+    )
+    .sort({ createdAt: 1 })
+    .limit(IMPORT_JOBS_PER_RUN)
+    .toArray();
+  for (const job of due) await runImportStep(job._id);
+  return { stepped: due.length };
+};
+
+// Startup on a long-running server: picks up jobs a previous process left unfinished
+const resumeImportJobs = async () => {
+  const jobs = await db.collection('importJobs')
+    .find({ status: { $in: IMPORT_ACTIVE_STATUSES } }, { projection: { _id: 1 } })
+    .toArray();
+  jobs.forEach(job => scheduleImportJob(job._id));
+  return jobs.length;
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, UPLOADS_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `candidates-${Date.now()}-${file.originalname}`);
+  }
+});
+const upload = multer({ storage: storage });
+
+// Runs a multer middleware and answers upload mistakes with 4xx instead of Express's HTML 500.
+// A fileFilter rejects a file by passing an error with status 400.
+const handleUpload = (middleware, { tooLarge, unexpectedFile }) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') return res.status(413).send(tooLarge);
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') return res.status(400).send(unexpectedFile);
+    // Anything else multer rejects (too many parts, a long field name, ...) is a bad request too
+    if (error instanceof multer.MulterError || error.status === 400) return res.status(400).send(error.message);
+    next(error);
+  });
+};
+
+const CANDIDATE_PHOTO_DIR = path.join(UPLOADS_DIR, 'candidates');
+
+const candidatePhotoStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(CANDIDATE_PHOTO_DIR)) {
+      try { fs.mkdirSync(CANDIDATE_PHOTO_DIR, { recursive: true }); } catch (e) { }
+    }
+    cb(null, CANDIDATE_PHOTO_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `photo-${Date.now()}-${file.originalname}`);
+  }
+});
+const CANDIDATE_PHOTO_MAX_BYTES = 2 * 1024 * 1024;
+const candidatePhotoUpload = handleUpload(multer({
+  storage: candidatePhotoStorage,
+  limits: { fileSize: CANDIDATE_PHOTO_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/^image\/(png|jpe?g|gif|webp)$/.test(file.mimetype)) return cb(null, true);
+    cb(Object.assign(new Error('Photo must be a PNG, JPEG, GIF or WebP image'), { status: 400 }));
+  }
+}).single('photo'), {
+  tooLarge: 'Photo must be 2 MB or smaller',
+  unexpectedFile: 'Upload a single image in the `photo` field'
+});
+
+
+// Shared by the file upload and JSON routes once the source is in memory.
+// Queues a background import job and responds with its id; poll GET /api/imports/:id for progress.
+// With ?preview=true the parsed result is returned without writing candidates, and stored
+// so it can be committed with POST /api/candidates/upload/:previewId/commit
+// An import profile can be chosen with `profileId`, otherwise one is detected from the headers.
+const startCandidateImport = async (req, res, { buffer, fileName, profileId }) => {
+  try {
+    if (req.query.preview !== 'true') {
+      if (profileId && !ObjectId.isValid(profileId)) {
+        return res.status(400).send('Invalid import profile id');
+      }
+
+      const fileId = await storeFile('importFiles', buffer, fileName, { uploadedBy: req.user.uid });
+      const job = {
+        fileName,
+        fileId,
+        profileId: profileId || null,
+        status: 'queued',
+        totalRows: 0,
+        rowsProcessed: 0,
+        added: 0,
+        updated: 0,
+        skipped: 0,
+        errors: [],
+        attempts: 0,
+        createdBy: req.user.uid,
+        createdAt: new Date()
+      };
+      const result = await db.collection('importJobs').insertOne(job);
+      await recordAudit(req, {
+        action: 'import.start',
+        targetType: 'importJob',
+        targetId: result.insertedId,
+        details: { fileName, profileId: job.profileId }
+      });
+      scheduleImportJob(result.insertedId);
+
+      return res.status(202).json({ message: 'Import queued', jobId: result.insertedId });
+    }
+
+    let source;
+    try {
+      source = await readCandidateFile(buffer, fileName);
+    } catch (error) {
+      return res.status(400).send(`Could not read file: ${error.message}`);
+    }
+    const { rows, imageMap } = source;
+
+    if (rows.length > IMPORT_PREVIEW_MAX_ROWS) {
+      await removeUnusedImportPhotos(imageMap);
+      return res.status(413).send(`The file has ${rows.length} rows, previews are limited to ${IMPORT_PREVIEW_MAX_ROWS}. Import it without a preview instead.`);
+    }
+
+    const selected = await selectImportProfile(rows, profileId);
+    if (selected.error) return res.status(400).send(selected.error);
+
+    const parsed = parseCandidateRows(rows, imageMap, {
+      profile: compileImportProfile(selected.profile || {}),
+      headerRowIndex: source.headerRowIndex
+    });
+
+    if (!parsed) {
+      console.error('Debug: Could not find header row in import file');
+      await removeUnusedImportPhotos(imageMap);
+      return res.status(400).send('Could not find candidate data headers (Name, Email, etc.) in the file.');
+    }
+
+    await markDuplicateEmails(parsed);
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + IMPORT_PREVIEW_TTL_HOURS * 3600000);
+    const preview = {
+      fileName,
+      rowCount: rows.length,
+      imageMap,
+      headerRowIndex: parsed.headerRowIndex,
+      mapping: parsed.mapping,
+      profile: selected.profile,
+      status: 'pending',
+      createdBy: req.user.uid,
+      createdAt,
+      expiresAt
+    };
+    const result = await db.collection('importPreviews').insertOne(preview);
+    await saveImportPreviewRows(result.insertedId, rows, expiresAt);
+    await recordAudit(req, {
+      action: 'import.preview',
+      targetType: 'importPreview',
+      targetId: result.insertedId,
+      details: { fileName, candidates: parsed.candidates.length, skipped: parsed.skipped.length }
+    });
+
+    res.json({
+      previewId: result.insertedId,
+      expiresAt,
+      profile: { _id: selected.profile?._id || null, name: selected.profile?.name || DEFAULT_IMPORT_PROFILE.name },
+      ...parsed,
+      photos: Object.keys(imageMap).map(row => ({ row: Number(row) + 1, photo: imageMap[row] }))
+    });
+
+  } catch (error) {
+    console.error('Upload Error:', error);
+    res.status(500).send('Error processing file');
+  }
+};
+
+// Accepts .xlsx workbooks, CSV/TSV (delimiter and encoding are detected) and .json files
+app.post('/api/candidates/upload', verifyToken, requirePermission('candidates.import'), upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).send('No file uploaded');
+  }
+
+  if (!getImportFileType(req.file.originalname)) {
+    try { fs.unlinkSync(req.file.path); } catch (e) { }
+    return res.status(400).send('Unsupported file type. Upload an .xlsx, .csv or .json file.');
+  }
+
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(req.file.path);
+  } catch (error) {
+    console.error('Upload Error:', error);
+    return res.status(500).send('Error processing file');
+  } finally {
+    try { fs.unlinkSync(req.file.path); } catch (e) { }
+  }
+
+  await startCandidateImport(req, res, {
+    buffer,
+    fileName: req.file.originalname,
+    profileId: req.body.profileId || req.query.profileId
+  });
+});
+
+// JSON payload import: either an array of candidates or { candidates: [...], profileId }
+app.post('/api/candidates/import', verifyToken, requirePermission('candidates.import'), async (req, res) => {
+  const records = Array.isArray(req.body) ? req.body : req.body?.candidates;
+  if (!Array.isArray(records) || records.length === 0) {
+    return res.status(400).send('Request body must be a non-empty array of candidates or { "candidates": [...] }');
+  }
+
+  try {
+    // Handled like an uploaded file so jobs and retries treat every source the same
+    await startCandidateImport(req, res, {
+      buffer: Buffer.from(JSON.stringify(records)),
+      fileName: 'import.json',
+      profileId: Array.isArray(req.body) ? req.query.profileId : (req.body.profileId || req.query.profileId)
+    });
+  } catch (error) {
+    console.error('JSON Import Error:', error);
+    res.status(500).send('Error importing candidates');
+  }
+});
+
+// Body (optional): { mapping: { name: 'Full Name', ... }, headerRowIndex }
+app.post('/api/candidates/upload/:previewId/commit', verifyToken, requirePermission('candidates.import'), async (req, res) => {
+  try {
+    const { previewId } = req.params;
+    const { mapping, headerRowIndex } = req.body || {};
+
+    if (!ObjectId.isValid(previewId)) return res.status(400).send('Invalid preview id');
+
+    // Previews can only be committed by whoever uploaded them
+    const previewsCollection = db.collection('importPreviews');
+    const preview = await previewsCollection.findOne({ _id: new ObjectId(previewId), createdBy: req.user.uid });
+
+    if (!preview) return res.status(404).send('Import preview not found');
+    if (preview.status !== 'pending') return res.status(409).send('Import preview has already been committed');
+    if (preview.expiresAt && preview.expiresAt <= new Date()) {
+      return res.status(410).send('Import preview has expired, please upload the file again');
+    }
+
+    const parsed = parseCandidateRows(await loadImportPreviewRows(preview), preview.imageMap, {
+      profile: compileImportProfile(preview.profile || {}),
+      mapping: mapping || preview.mapping,
+      headerRowIndex: headerRowIndex !== undefined ? headerRowIndex : preview.headerRowIndex
+    });
+    if (!parsed) return res.status(400).send('Invalid header row');
+
+    // Claim the preview first so a double submit cannot import twice
+    const claim = await previewsCollection.updateOne(
+      { _id: preview._id, status: 'pending' },
+      { $set: { status: 'committing', committingAt: new Date() } }
+    );
+    if (claim.modifiedCount === 0) return res.status(409).send('Import preview has already been committed');
+
+    let result;
+    try {
+      result = await saveParsedCandidates(parsed, req.user.uid);
+    } catch (error) {
+      await previewsCollection.updateOne({ _id: preview._id }, { $set: { status: 'pending' }, $unset: { committingAt: '' } });
+      throw error;
+    }
+
+    await previewsCollection.updateOne(
+      { _id: preview._id },
+      {
+        $set: { status: 'committed', committedBy: req.user.uid, committedAt: new Date(), result },
+        $unset: { rows: '', committingAt: '' }
+      }
+    );
+    await db.collection('importPreviewRows').deleteMany({ previewId: preview._id });
+    // Photos of skipped rows are not referenced by any candidate
+    await removeUnusedImportPhotos(preview.imageMap);
+    await recordAudit(req, {
+      action: 'import.commit',
+      targetType: 'importPreview',
+      targetId: preview._id,
+      details: { fileName: preview.fileName, added: result.added, updated: result.updated, skipped: result.skipped }
+    });
+
+    res.json({
+      message: result.added > 0 ? 'File processed successfully' : 'No valid candidates found in the file',
+      mapping: parsed.mapping,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Import Commit Error:', error);
+    res.status(500).send('Error committing import');
+  }
+});
+
+// --- Import Job Routes ---
+
+app.get('/api/imports', verifyToken, requirePermission('candidates.import'), async (req, res) => {
+  try {
+    const jobs = await db.collection('importJobs')
+      .find({}, { projection: { errors: 0, filePath: 0, fileId: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray();
+    res.json(jobs);
+  } catch (error) {
+    console.error('Fetch Import Jobs Error:', error);
+    res.status(500).send('Error fetching import jobs');
+  }
+});
+
+app.get('/api/imports/:id', verifyToken, requirePermission('candidates.import'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid import job id');
+
+    const job = await db.collection('importJobs').findOne(
+      { _id: new ObjectId(id) },
+      { projection: { filePath: 0, fileId: 0 } }
+    );
+    if (!job) return res.status(404).send('Import job not found');
+    // Serverless deployments advance the job a step each time its progress is polled
+    if (RUNS_SERVERLESS && IMPORT_ACTIVE_STATUSES.includes(job.status)) scheduleImportJob(job._id);
+    res.json(job);
+  } catch (error) {
+    console.error('Fetch Import Job Error:', error);
+    res.status(500).send('Error fetching import job');
+  }
+});
+
+app.post('/api/imports/:id/retry', verifyToken, requirePermission('candidates.import'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid import job id');
+
+    const jobsCollection = db.collection('importJobs');
+    const job = await jobsCollection.findOne({ _id: new ObjectId(id) }, { projection: { status: 1, chunkCount: 1 } });
+    if (!job) return res.status(404).send('Import job not found');
+    if (job.status !== 'failed') return res.status(409).send('Only failed import jobs can be retried');
+
+    // A job that failed after parsing resumes at its next chunk; one that failed before starts over
+    const retried = { retriedBy: req.user.uid, retriedAt: new Date() };
+    const restart = { status: 'queued', rowsProcessed: 0, added: 0, updated: 0, skipped: 0, errors: [], ...retried };
+    const result = await jobsCollection.updateOne(
+      { _id: job._id, status: 'failed' },
+      {
+        $set: job.chunkCount === undefined ? restart : { status: 'processing', ...retried },
+        $unset: { failureReason: '', finishedAt: '', lockedUntil: '', interruptions: '' }
+      }
+    );
+    if (result.matchedCount === 0) return res.status(409).send('Only failed import jobs can be retried');
+
+    await recordAudit(req, { action: 'import.retry', targetType: 'importJob', targetId: id });
+    scheduleImportJob(job._id);
+    res.status(202).json({ message: 'Import queued again', jobId: id });
+  } catch (error) {
+    console.error('Retry Import Job Error:', error);
+    res.status(500).send('Error retrying import job');
+  }
+});
+
+// --- Import Profile Routes ---
+
+app.get('/api/import-profiles', verifyToken, requirePermission('candidates.import'), async (req, res) => {
+  try {
+    const profiles = await db.collection('importProfiles').find({}).sort({ name: 1 }).toArray();
+    res.json({ default: DEFAULT_IMPORT_PROFILE, profiles });
+  } catch (error) {
+    console.error('Fetch Import Profiles Error:', error);
+    res.status(500).send('Error fetching import profiles');
+  }
+});
+
+app.post('/api/import-profiles', verifyToken, requirePermission('imports.configure'), async (req, res) => {
+  try {
+    const { profile, error } = sanitizeImportProfile(req.body);
+    if (error) return res.status(400).send(error);
+
+    const doc = { ...profile, createdBy: req.user.uid, createdAt: new Date(), updatedAt: new Date() };
+    const result = await db.collection('importProfiles').insertOne(doc);
+    await recordAudit(req, { action: 'importProfile.create', targetType: 'importProfile', targetId: result.insertedId, after: doc });
+    res.status(201).json({ ...doc, _id: result.insertedId });
+  } catch (error) {
+    console.error('Create Import Profile Error:', error);
+    res.status(500).send('Error creating import profile');
+  }
+});
+
+app.put('/api/import-profiles/:id', verifyToken, requirePermission('imports.configure'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid import profile id');
+
+    const { profile, error } = sanitizeImportProfile(req.body);
+    if (error) return res.status(400).send(error);
+
+    // Replace the whole definition so removed keys fall back to the defaults again
+    const existing = await db.collection('importProfiles').findOne({ _id: new ObjectId(id) });
+    if (!existing) return res.status(404).send('Import profile not found');
+
+    const doc = {
+      ...profile,
+      createdBy: existing.createdBy,
+      createdAt: existing.createdAt,
+      updatedBy: req.user.uid,
+      updatedAt: new Date()
+    };
+    await db.collection('importProfiles').replaceOne({ _id: existing._id }, doc);
+    await recordAudit(req, { action: 'importProfile.update', targetType: 'importProfile', targetId: existing._id, before: existing, after: doc });
+    res.json({ ...doc, _id: existing._id });
+  } catch (error) {
+    console.error('Update Import Profile Error:', error);
+    res.status(500).send('Error updating import profile');
+  }
+});
+
+app.delete('/api/import-profiles/:id', verifyToken, requirePermission('imports.configure'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid import profile id');
+
+    const deleted = await db.collection('importProfiles').findOneAndDelete({ _id: new ObjectId(id) });
+    if (!deleted) return res.status(404).send('Import profile not found');
+    await recordAudit(req, { action: 'importProfile.delete', targetType: 'importProfile', targetId: deleted._id, before: deleted, after: null });
+    res.json({ message: 'Import profile deleted' });
+  } catch (error) {
+    console.error('Delete Import Profile Error:', error);
+    res.status(500).send('Error deleting import profile');
+  }
+});
+
+
+// Deleted candidates keep their document with deletedAt set until purged from the trash.
+// Their interviews get candidateDeletedAt so they drop out of schedules, feeds and conflict checks.
+const NOT_DELETED = { deletedAt: null };
+const VISIBLE_INTERVIEW = { candidateDeletedAt: null };
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const CANDIDATE_FILTER_PARAMS = ['status', 'search', 'createdBy', 'createdFrom', 'createdTo', 'minExperience', 'maxExperience', 'minAge', 'maxAge', 'tag', 'assignedTo'];
+
+// Turns list query params into a MongoDB filter. Shared by the list, export and bulk routes.
+// Bulk filters come from a JSON body, so objects like { $ne: null } are rejected rather than
+// ending up in the query as operators.
+const buildCandidateFilter = (params = {}) => {
+  const invalid = CANDIDATE_FILTER_PARAMS.find(key => params[key] != null && !['string', 'number'].includes(typeof params[key]));
+  if (invalid) return { error: `Invalid ${invalid}` };
+
+  const { status, search, createdBy, createdFrom, createdTo, minExperience, maxExperience, minAge, maxAge, tag, assignedTo } = params;
+  const query = { ...NOT_DELETED };
+  // Case-insensitive so legacy statuses like "Interview Scheduled" still match
+  if (status) query.status = new RegExp(`^${escapeRegex(String(status).trim())}$`, 'i');
+  if (createdBy) query.createdBy = String(createdBy);
+
+  // tag=a,b matches candidates that have all of the listed tags
+  if (tag) {
+    const tags = String(tag).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    if (tags.length > 0) query.tags = { $all: tags };
+  }
+  // assignedTo=<uid> or assignedTo=none for unassigned candidates
+  if (assignedTo) query.assignedTo = assignedTo === 'none' ? null : String(assignedTo);
+
+  if (search && String(search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+    query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+
+  if (createdFrom || createdTo) {
+    query.createdAt = {};
+    if (createdFrom) {
+      const from = new Date(createdFrom);
+      if (isNaN(from)) return { error: 'Invalid createdFrom date' };
+      query.createdAt.$gte = from;
+    }
+    if (createdTo) {
+      const to = new Date(createdTo);
+      if (isNaN(to)) return { error: 'Invalid createdTo date' };
+      // A bare date includes the whole day
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(createdTo));
+      if (dateOnly) to.setUTCDate(to.getUTCDate() + 1);
+      query.createdAt[dateOnly ? '$lt' : '$lte'] = to;
+    }
+  }
+
+  if (minExperience !== undefined || maxExperience !== undefined) {
+    query.experience_years = {};
+    if (minExperience !== undefined) {
+      if (isNaN(Number(minExperience))) return { error: 'Invalid minExperience' };
+      query.experience_years.$gte = Number(minExperience);
+    }
+    if (maxExperience !== undefined) {
+      if (isNaN(Number(maxExperience))) return { error: 'Invalid maxExperience' };
+      query.experience_years.$lte = Number(maxExperience);
+    }
+  }
+
+  if (minAge !== undefined || maxAge !== undefined) {
+    query.age = {};
+    if (minAge !== undefined) {
+      if (isNaN(Number(minAge))) return { error: 'Invalid minAge' };
+      query.age.$gte = Number(minAge);
+    }
+    if (maxAge !== undefined) {
+      if (isNaN(Number(maxAge))) return { error: 'Invalid maxAge' };
+      query.age.$lte = Number(maxAge);
+    }
+  }
+
+  return { filter: query };
+};
+
+const CANDIDATE_SORT_FIELDS = ['createdAt', 'name', 'email', 'experience_years', 'age', 'status'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// One page of candidates for the list views; params are the list query parameters
+const sendCandidatePage = async (res, params) => {
+  const { filter: query, error } = buildCandidateFilter(params);
+  if (error) return res.status(400).send(error);
+
+  const sortBy = params.sortBy || 'createdAt';
+  if (!CANDIDATE_SORT_FIELDS.includes(sortBy)) return res.status(400).send('Invalid sortBy field');
+  const direction = params.order === 'asc' ? 1 : -1;
+  const candidatesCollection = db.collection('candidates');
+
+  // Without page/limit the response stays the bare array older clients expect
+  if (params.page === undefined && params.limit === undefined) {
+    const candidates = await candidatesCollection.find(query).sort({ [sortBy]: direction, _id: direction }).toArray();
+    return res.json(candidates);
+  }
+
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  // _id breaks ties so pages stay stable when many rows share a sort value
+  const [candidates, total] = await Promise.all([
+    candidatesCollection.find(query)
+      .sort({ [sortBy]: direction, _id: direction })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    candidatesCollection.countDocuments(query)
+  ]);
+
+  res.json({
+    candidates,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  });
+};
+
+// Query: status, search (name/email/phone), createdBy, createdFrom/createdTo,
+// minExperience/maxExperience, minAge/maxAge, tag=a,b, assignedTo=<uid>|none,
+// sortBy, order=asc|desc, page, limit. With page or limit the response is
+// { candidates, total, page, limit, totalPages }, otherwise a plain array of every match.
+app.get('/api/candidates', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    await sendCandidatePage(res, req.query);
+  } catch (error) {
+    console.error('Fetch Error:', error);
+    res.status(500).send('Error fetching candidates');
+  }
+});
+
+// "My candidates": the list filtered to candidates assigned to the caller. Same query params otherwise.
+app.get('/api/candidates/mine', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    await sendCandidatePage(res, { ...req.query, assignedTo: req.user.uid });
+  } catch (error) {
+    console.error('Fetch Error:', error);
+    res.status(500).send('Error fetching candidates');
+  }
+});
+
+
+// Manual entry by staff (e.g. at a job fair). Multipart form with an optional `photo` file.
+app.post('/api/candidates', verifyToken, requirePermission('candidates.create'), candidatePhotoUpload, async (req, res) => {
+  const removeUpload = () => {
+    if (!req.file) return;
+    try { fs.unlinkSync(req.file.path); } catch (e) { }
+  };
+
+  try {
+    const fields = { ...req.body };
+    CANDIDATE_READONLY_FIELDS.filter(field => field !== 'email').forEach(field => delete fields[field]);
+    delete fields.status;
+    if (req.file) fields.photo = `/uploads/candidates/${req.file.filename}`;
+
+    const { value, errors } = validateCandidate(fields);
+    const assigneeError = await validateAssignee(value.assignedTo);
+    if (assigneeError) errors.push({ field: 'assignedTo', message: assigneeError });
+    if (errors.length > 0) {
+      removeUpload();
+      return sendValidationError(res, errors);
+    }
+
+    const candidatesCollection = db.collection('candidates');
+
+    // Check Duplicate Email
+    if (value.email) {
+      const existing = await candidatesCollection.findOne({ email: value.email }, { projection: { _id: 1, deletedAt: 1 } });
+      if (existing) {
+        removeUpload();
+        const message = existing.deletedAt
+          ? `Email ${value.email} belongs to a candidate in the trash, restore it instead`
+          : `Email ${value.email} already exists`;
+        return res.status(409).json({ message, candidateId: existing._id });
+      }
+    }
+
+    const { initialStage } = await getPipeline();
+    const candidate = buildNewCandidate(value, req.user.uid, initialStage, 'Added manually');
+    const result = await candidatesCollection.insertOne(candidate);
+    await recordAudit(req, { action: 'candidate.create', targetType: 'candidate', targetId: result.insertedId, after: candidate });
+
+    res.status(201).json({ ...candidate, _id: result.insertedId });
+  } catch (error) {
+    console.error('Create Candidate Error:', error);
+    removeUpload();
+    res.status(500).send('Error creating candidate');
+  }
+});
+
+app.get('/api/candidates/me', verifyToken, requirePermission('profile.self'), async (req, res) => {
+  try {
+    const candidate = await loadOwnCandidate(req, res);
+    if (!candidate) return;
+    res.json(toCandidateSelfView(candidate));
+
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).send('Error fetching profile');
+  }
+});
+
+
+// --- Candidate Pipeline ---
+
+// Stage keys are stored lowercase in `status`; older records may differ in case
+// (e.g. "Interview Scheduled"), so comparisons go through normalizeStatus.
+const DEFAULT_PIPELINE = {
+  initialStage: 'pending',
+  stages: ['pending', 'screening', 'interview scheduled', 'interviewed', 'offered', 'hired', 'rejected'],
+  transitions: {
+    pending: ['screening', 'interview scheduled', 'rejected'],
+    screening: ['interview scheduled', 'rejected'],
+    'interview scheduled': ['interviewed', 'rejected'],
+    interviewed: ['interview scheduled', 'offered', 'rejected'],
+    offered: ['hired', 'rejected'],
+    hired: [],
+    rejected: []
+  }
+};
+
+// Interview scheduling and feedback move candidates to these stages, so every pipeline needs them
+const PIPELINE_SYSTEM_STAGES = ['interview scheduled', 'interviewed', 'rejected'];
+
+const normalizeStatus = (status) => String(status || '').trim().toLowerCase();
+
+const getPipeline = async () => {
+  const stored = await db.collection('settings').findOne({ _id: 'pipeline' });
+  if (!stored) return DEFAULT_PIPELINE;
+  const { initialStage, stages, transitions } = stored;
+  return { initialStage, stages, transitions };
+};
+
+// Returns an error message, or null when the pipeline definition is usable
+const validatePipeline = ({ initialStage, stages, transitions } = {}) => {
+  if (!Array.isArray(stages) || stages.length === 0) return 'stages must be a non-empty list';
+  if (stages.some(stage => typeof stage !== 'string' || !stage.trim())) return 'Stage names must be non-empty strings';
+  if (new Set(stages).size !== stages.length) return 'Stage names must be unique';
+  if (stages.some(stage => stage !== normalizeStatus(stage))) return 'Stage names must be lowercase and trimmed';
+  if (!stages.includes(initialStage)) return 'initialStage must be one of the stages';
+  const missing = PIPELINE_SYSTEM_STAGES.filter(stage => !stages.includes(stage));
+  if (missing.length > 0) return `stages must include ${missing.map(stage => `"${stage}"`).join(', ')} (used by interview scheduling and feedback)`;
+  if (!transitions || typeof transitions !== 'object') return 'transitions must be an object';
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!stages.includes(from)) return `Unknown stage in transitions: ${from}`;
+    if (!Array.isArray(targets)) return `Transitions for ${from} must be a list`;
+    const unknown = targets.find(to => !stages.includes(to));
+    if (unknown) return `Unknown target stage for ${from}: ${unknown}`;
+  }
+  return null;
+};
+
+// Checks a status change against the pipeline. Statuses from before the pipeline
+// existed (not a known stage) may move to any stage.
+const checkStatusTransition = (pipeline, fromStatus, toStatus) => {
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+
+  if (!pipeline.stages.includes(to)) return { error: `Unknown status: ${toStatus}` };
+  if (from === to) return { status: to, unchanged: true };
+  if (pipeline.stages.includes(from) && !(pipeline.transitions[from] || []).includes(to)) {
+    return { error: `Cannot move candidate from "${from}" to "${to}"`, allowed: pipeline.transitions[from] || [] };
+  }
+  return { status: to };
+};
+
+const buildStatusHistoryEntry = (from, to, uid, reason) => ({
+  from: from ? normalizeStatus(from) : null,
+  to,
+  changedBy: uid,
+  changedAt: new Date(),
+  ...(reason ? { reason: String(reason) } : {})
+});
+
+// Applies a validated status change (plus any extra $set fields) and appends to statusHistory.
+// The current status is part of the filter so concurrent changes cannot both win.
+// Resolves to { candidate } or { error, code, allowed }.
+// notify: false skips the status email, e.g. when a more specific email (interview invitation) goes out instead
+const changeCandidateStatus = async (candidate, toStatus, { uid, reason, extraSet = {}, notify = true, session } = {}) => {
+  const pipeline = await getPipeline();
+  const check = checkStatusTransition(pipeline, candidate.status, toStatus);
+  if (check.error) return { error: check.error, code: 409, allowed: check.allowed };
+
+  const update = { $set: { ...extraSet } };
+  if (!check.unchanged) {
+    update.$set.status = check.status;
+    update.$set.statusUpdatedAt = new Date();
+    update.$push = { statusHistory: buildStatusHistoryEntry(candidate.status, check.status, uid, reason) };
+  }
+  if (Object.keys(update.$set).length === 0) delete update.$set;
+  if (!update.$set && !update.$push) return { candidate };
+
+  const result = await db.collection('candidates').findOneAndUpdate(
+    { _id: candidate._id, status: candidate.status },
+    update,
+    { returnDocument: 'after', session }
+  );
+  if (!result) return { error: 'Candidate was changed by someone else, please reload', code: 409 };
+  if (!check.unchanged && notify) await notifyStatusChange(result, candidate.status, check.status);
+  return { candidate: result };
+};
+
+app.get('/api/pipeline', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    res.json(await getPipeline());
+  } catch (error) {
+    console.error('Fetch Pipeline Error:', error);
+    res.status(500).send('Error fetching pipeline');
+  }
+});
+
+app.put('/api/pipeline', verifyToken, requirePermission('pipeline.manage'), async (req, res) => {
+  try {
+    const { initialStage, stages, transitions } = req.body || {};
+    const pipeline = {
+      initialStage: normalizeStatus(initialStage),
+      stages: Array.isArray(stages) ? stages.map(normalizeStatus) : stages,
+      transitions: {}
+    };
+    if (transitions && typeof transitions === 'object') {
+      Object.entries(transitions).forEach(([from, targets]) => {
+        pipeline.transitions[normalizeStatus(from)] = Array.isArray(targets) ? targets.map(normalizeStatus) : targets;
+      });
+    } else {
+      pipeline.transitions = transitions;
+    }
+
+    const error = validatePipeline(pipeline);
+    if (error) return res.status(400).send(error);
+
+    const previous = await getPipeline();
+    await db.collection('settings').updateOne(
+      { _id: 'pipeline' },
+      { $set: { ...pipeline, updatedBy: req.user.uid, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    await recordAudit(req, { action: 'pipeline.update', targetType: 'settings', targetId: 'pipeline', before: previous, after: pipeline });
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Update Pipeline Error:', error);
+    res.status(500).send('Error updating pipeline');
+  }
+});
+
+// Body: { status, reason? }
+app.patch('/api/candidates/:id/status', verifyToken, requirePermission('candidates.status'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+    if (!status) return res.status(400).send('Status is required');
+
+    const candidate = await db.collection('candidates').findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+    if (!candidate) return res.status(404).send('Candidate not found');
+
+    const result = await changeCandidateStatus(candidate, status, { uid: req.user.uid, reason });
+    if (result.error) return res.status(result.code).json({ message: result.error, allowed: result.allowed });
+    await recordAudit(req, {
+      action: 'candidate.status_change',
+      targetType: 'candidate',
+      targetId: candidate._id,
+      before: { status: candidate.status },
+      after: { status: result.candidate.status },
+      ...(reason ? { details: { reason } } : {})
+    });
+
+    res.json(result.candidate);
+  } catch (error) {
+    console.error('Status Change Error:', error);
+    res.status(500).send('Error changing candidate status');
+  }
+});
+
+// Status history with how long the candidate spent in each stage
+app.get('/api/candidates/:id/status-history', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+
+    const candidate = await db.collection('candidates').findOne(
+      { _id: new ObjectId(id), ...NOT_DELETED },
+      { projection: { status: 1, statusHistory: 1, createdAt: 1 } }
+    );
+    if (!candidate) return res.status(404).send('Candidate not found');
+
+    const history = candidate.statusHistory || [];
+    const now = Date.now();
+    const stages = history.map((entry, idx) => {
+      const next = history[idx + 1];
+      const leftAt = next ? new Date(next.changedAt).getTime() : now;
+      return { ...entry, durationMs: leftAt - new Date(entry.changedAt).getTime(), current: !next };
+    });
+
+    res.json({ status: candidate.status, history: stages });
+  } catch (error) {
+    console.error('Status History Error:', error);
+    res.status(500).send('Error fetching status history');
+  }
+});
+
+// --- Duplicate Detection ---
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+const normalizeEmail = (email) => (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+
+// Lowercase letters only, tokens sorted so "Rahman Karim" matches "Karim Rahman"
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Finds likely duplicate pairs on normalized email, normalized phone and fuzzy name,
+// then groups them. A name-only match is ignored when the records have different emails or phones.
+const findDuplicateGroups = (candidates, { fuzzy = true } = {}) => {
+  const records = candidates.map(c => ({
+    candidate: c,
+    id: String(c._id),
+    email: normalizeEmail(c.email),
+    phone: normalizePhone(c.phone),
+    name: normalizeName(c.name)
+  }));
+
+  const matches = new Map(); // "idA|idB" -> { ids, reasons, nameScore }
+  const addMatch = (a, b, reason, nameScore) => {
+    const ids = [a.id, b.id].sort();
+    const key = ids.join('|');
+    const match = matches.get(key) || { ids, reasons: [] };
+    if (!match.reasons.includes(reason)) match.reasons.push(reason);
+    if (nameScore !== undefined) match.nameScore = Number(nameScore.toFixed(2));
+    matches.set(key, match);
+  };
+
+  // Exact matches on normalized keys
+  ['email', 'phone'].forEach((field) => {
+    const buckets = new Map();
+    records.forEach((record) => {
+      if (!record[field]) return;
+      if (!buckets.has(record[field])) buckets.set(record[field], []);
+      buckets.get(record[field]).push(record);
+    });
+    buckets.forEach((bucket) => {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) addMatch(bucket[i], bucket[j], field);
+      }
+    });
+  });
+
+  // Fuzzy names, compared only within the same first letter to keep this from being quadratic over everyone
+  if (fuzzy) {
+    const blocks = new Map();
+    records.forEach((record) => {
+      if (!record.name) return;
+      const key = record.name[0];
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(record);
+    });
+    blocks.forEach((block) => {
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          const a = block[i];
+          const b = block[j];
+          if (a.email && b.email && a.email !== b.email) continue;
+          if (a.phone && b.phone && a.phone !== b.phone) continue;
+          if (Math.abs(a.name.length - b.name.length) > a.name.length * (1 - NAME_SIMILARITY_THRESHOLD) + 1) continue;
+          const score = nameSimilarity(a.name, b.name);
+          if (score >= NAME_SIMILARITY_THRESHOLD) addMatch(a, b, 'name', score);
+        }
+      }
+    });
+  }
+
+  // Union-find so A~B and B~C end up in one group
+  const parent = new Map(records.map(r => [r.id, r.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  matches.forEach(({ ids }) => parent.set(find(ids[0]), find(ids[1])));
+
+  const byId = new Map(records.map(r => [r.id, r.candidate]));
+  const groups = new Map();
+  matches.forEach((match) => {
+    const root = find(match.ids[0]);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), matches: [] });
+    const group = groups.get(root);
+    match.ids.forEach(id => group.ids.add(id));
+    group.matches.push(match);
+  });
+
+  return Array.from(groups.values()).map(group => ({
+    candidates: Array.from(group.ids).map(id => byId.get(id)),
+    matches: group.matches
+  }));
+};
+
+// Query: fuzzy=false to skip name matching
+app.get('/api/candidates/duplicates', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    const candidates = await db.collection('candidates')
+      .find(NOT_DELETED, { projection: { name: 1, email: 1, phone: 1, photo: 1, status: 1, createdAt: 1 } })
+      .toArray();
+
+    const groups = findDuplicateGroups(candidates, { fuzzy: req.query.fuzzy !== 'false' });
+    res.json({ total: groups.length, groups });
+  } catch (error) {
+    console.error('Duplicate Detection Error:', error);
+    res.status(500).send('Error finding duplicate candidates');
+  }
+});
+
+const uploadedFileSize = (url) => {
+  const filePath = resolveUploadPath(url);
+  try {
+    return filePath ? fs.statSync(filePath).size : 0;
+  } catch (e) {
+    return 0;
+  }
+};
+
+// Keep the primary's values, filling gaps from the duplicate
+const buildMergeUpdates = (primary, duplicate) => {
+  const updates = {};
+  ['name', 'email', 'phone'].forEach((field) => {
+    if (!primary[field] && duplicate[field]) updates[field] = duplicate[field];
+  });
+  if (!primary.age && duplicate.age) updates.age = duplicate.age;
+  updates.experience_years = Math.max(primary.experience_years || 0, duplicate.experience_years || 0);
+
+  const experience = [];
+  [primary.previous_experience, duplicate.previous_experience].forEach((list) => {
+    (Array.isArray(list) ? list : (list ? [list] : [])).forEach((entry) => {
+      if (!experience.some(e => e.toLowerCase() === String(entry).toLowerCase())) experience.push(String(entry));
+    });
+  });
+  updates.previous_experience = experience;
+
+  // Best photo is the larger file that still exists
+  if (duplicate.photo && uploadedFileSize(duplicate.photo) > uploadedFileSize(primary.photo)) {
+    updates.photo = duplicate.photo;
+  }
+  if (!primary.cv && duplicate.cv) updates.cv = duplicate.cv;
+
+  const history = [...(primary.statusHistory || []), ...(duplicate.statusHistory || [])]
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  if (history.length > 0) updates.statusHistory = history;
+
+  // Staff annotations from both records survive; notes keep their own author and date
+  const tags = [...new Set([...(primary.tags || []), ...(duplicate.tags || [])])];
+  if (tags.length > 0) updates.tags = tags;
+  const notes = [...(primary.notes || []), ...(duplicate.notes || [])]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  if (notes.length > 0) updates.notes = notes;
+  if (!primary.assignedTo && duplicate.assignedTo) updates.assignedTo = duplicate.assignedTo;
+  return updates;
+};
+
+// Body: { primaryId, duplicateId }. The duplicate is folded into the primary and removed;
+// a snapshot of both is kept in candidateMerges. All writes happen in one transaction.
+app.post('/api/candidates/merge', verifyToken, requirePermission('candidates.merge'), async (req, res) => {
+  try {
+    const { primaryId, duplicateId } = req.body || {};
+    if (!ObjectId.isValid(primaryId) || !ObjectId.isValid(duplicateId)) return res.status(400).send('Invalid candidate id');
+    if (String(primaryId) === String(duplicateId)) return res.status(400).send('Cannot merge a candidate into itself');
+
+    const candidatesCollection = db.collection('candidates');
+    const outcome = await runInTransaction(async (session) => {
+      const [primary, duplicate] = await Promise.all([
+        candidatesCollection.findOne({ _id: new ObjectId(primaryId), ...NOT_DELETED }, { session }),
+        candidatesCollection.findOne({ _id: new ObjectId(duplicateId), ...NOT_DELETED }, { session })
+      ]);
+      if (!primary || !duplicate) return null;
+
+      const updates = buildMergeUpdates(primary, duplicate);
+      const mergedAt = new Date();
+      const interviews = await db.collection('interviews').updateMany(
+        { candidateId: duplicate._id },
+        { $set: { candidateId: primary._id } },
+        { session }
+      );
+
+      const merged = await candidatesCollection.findOneAndUpdate(
+        { _id: primary._id },
+        {
+          $set: { ...updates, updatedAt: mergedAt },
+          $push: { mergedFrom: { candidateId: duplicate._id, mergedBy: req.user.uid, mergedAt } }
+        },
+        { returnDocument: 'after', session }
+      );
+
+      await db.collection('candidateMerges').insertOne({
+        primaryId: primary._id,
+        duplicateId: duplicate._id,
+        primaryBefore: primary,
+        duplicate,
+        interviewsMoved: interviews.modifiedCount,
+        mergedBy: req.user.uid,
+        mergedAt
+      }, { session });
+      await candidatesCollection.deleteOne({ _id: duplicate._id }, { session });
+
+      return { primary, duplicate, merged, interviewsMoved: interviews.modifiedCount };
+    });
+    if (!outcome) return res.status(404).send('Candidate not found');
+    const { primary, duplicate, merged, interviewsMoved } = outcome;
+
+    // Files the merged record no longer points at; both helpers skip files another candidate still uses
+    const photosRemoved = [];
+    for (const photo of [primary.photo, duplicate.photo]) {
+      if (photo && photo !== merged.photo && await removeCandidatePhoto(photo)) photosRemoved.push(photo);
+    }
+    if (duplicate.cv) await removeCandidateCv(duplicate.cv);
+
+    await recordAudit(req, {
+      action: 'candidate.merge',
+      targetType: 'candidate',
+      targetId: primary._id,
+      before: primary,
+      after: merged,
+      details: { duplicateId: String(duplicate._id), interviewsMoved, photosRemoved }
+    });
+    await recordAudit(req, { action: 'candidate.delete', targetType: 'candidate', targetId: duplicate._id, before: duplicate, after: null, details: { mergedInto: String(primary._id) } });
+
+    res.json({ message: 'Candidates merged', candidate: merged, interviewsMoved });
+  } catch (error) {
+    console.error('Merge Error:', error);
+    res.status(500).send('Error merging candidates');
+  }
+});
+
+// Fields that have their own route and permission; PUT only changes them for holders of that permission
+const CANDIDATE_FIELD_PERMISSIONS = { status: 'candidates.status', tags: 'candidates.tag', assignedTo: 'candidates.assign' };
+
+app.put('/api/candidates/:id', verifyToken, requirePermission('candidates.edit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+    const updates = { ...req.body };
+
+    CANDIDATE_READONLY_FIELDS.forEach(field => delete updates[field]);
+    const { statusReason, ...fields } = updates;
+
+    const denied = Object.keys(CANDIDATE_FIELD_PERMISSIONS)
+      .find(field => fields[field] !== undefined && !hasPermission(req, CANDIDATE_FIELD_PERMISSIONS[field]));
+    if (denied) return res.status(403).send(`Changing ${denied} requires the ${CANDIDATE_FIELD_PERMISSIONS[denied]} permission`);
+
+    const { value: validated, errors } = validateCandidate(fields, { partial: true });
+    const assigneeError = await validateAssignee(validated.assignedTo);
+    if (assigneeError) errors.push({ field: 'assignedTo', message: assigneeError });
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (Object.keys(validated).length === 0) return res.status(400).send('No fields to update');
+
+    const candidatesCollection = db.collection('candidates');
+
+    // Status changes go through the pipeline so they are validated and recorded
+    if (validated.status !== undefined) {
+      const { status, ...rest } = validated;
+      const candidate = await candidatesCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+      if (!candidate) return res.status(404).send('Candidate not found');
+
+      const change = await changeCandidateStatus(candidate, status, { uid: req.user.uid, reason: statusReason, extraSet: rest });
+      if (change.error) return res.status(change.code).json({ message: change.error, allowed: change.allowed });
+      await recordAudit(req, { action: 'candidate.update', targetType: 'candidate', targetId: candidate._id, before: candidate, after: change.candidate });
+      return res.json(change.candidate);
+    }
+
+    const before = await candidatesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), ...NOT_DELETED },
+      { $set: validated }
+    );
+
+    if (!before) return res.status(404).send('Candidate not found');
+    const result = { ...before, ...validated };
+    await recordAudit(req, { action: 'candidate.update', targetType: 'candidate', targetId: before._id, before, after: result });
+    res.json(result);
+
+  } catch (error) {
+    console.error('Update Error:', error);
+    res.status(500).send('Error updating candidate');
+  }
+});
+
+
+// Moves a candidate to the trash and hides its interviews. Returns null if it is already gone.
+const softDeleteCandidate = async (req, id) => {
+  const deletedAt = new Date();
+  const before = await db.collection('candidates').findOneAndUpdate(
+    { _id: id, ...NOT_DELETED },
+    { $set: { deletedAt, deletedBy: req.user.uid } }
+  );
+  if (!before) return null;
+
+  const interviews = await db.collection('interviews').updateMany(
+    { candidateId: before._id, ...VISIBLE_INTERVIEW },
+    { $set: { candidateDeletedAt: deletedAt } }
+  );
+  await recordAudit(req, {
+    action: 'candidate.delete',
+    targetType: 'candidate',
+    targetId: before._id,
+    before,
+    after: { ...before, deletedAt, deletedBy: req.user.uid },
+    details: { interviewsHidden: interviews.modifiedCount }
+  });
+  return { interviewsHidden: interviews.modifiedCount };
+};
+
+// Moves the candidate to the trash. DELETE /api/trash/candidates/:id removes it for good.
+app.delete('/api/candidates/:id', verifyToken, requirePermission('candidates.delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+
+    const result = await softDeleteCandidate(req, new ObjectId(id));
+    if (!result) return res.status(404).send('Candidate not found');
+    res.json({ message: 'Candidate moved to trash', ...result });
+
+  } catch (error) {
+    console.error('Delete Error:', error);
+    res.status(500).send('Error deleting candidate');
+  }
+});
+
+// --- Candidate Trash ---
+
+// Query: search, page, limit. Most recently deleted first.
+app.get('/api/trash/candidates', verifyToken, requirePermission('candidates.delete'), async (req, res) => {
+  try {
+    const query = { deletedAt: { $ne: null } };
+    if (req.query.search && String(req.query.search).trim()) {
+      const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const candidatesCollection = db.collection('candidates');
+    const [candidates, total] = await Promise.all([
+      candidatesCollection.find(query)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      candidatesCollection.countDocuments(query)
+    ]);
+
+    res.json({ candidates, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Fetch Trash Error:', error);
+    res.status(500).send('Error fetching trash');
+  }
+});
+
+// Un-hides the interviews hidden when the candidate was trashed. Upcoming ones go back through the
+// booking check, since their slot may have been given away meanwhile; those that clash are cancelled.
+const restoreCandidateInterviews = async (candidateId, req) => {
+  const interviewsCollection = db.collection('interviews');
+  const hidden = { candidateId, candidateDeletedAt: { $ne: null } };
+  const bookable = { status: { $in: ACTIVE_INTERVIEW_STATUSES }, startsAt: { $ne: null } };
+
+  const { modifiedCount } = await interviewsCollection.updateMany(
+    { ...hidden, $nor: [bookable] },
+    { $unset: { candidateDeletedAt: '' } }
+  );
+  let restored = modifiedCount;
+  const cancelled = [];
+
+  for (const interview of await interviewsCollection.find({ ...hidden, ...bookable }).toArray()) {
+    const slot = { candidateId, interviewers: interview.interviewers || [], startsAt: interview.startsAt, endsAt: interview.endsAt, excludeId: interview._id };
+    const booking = await bookInterviewSlot(slot, session =>
+      interviewsCollection.updateOne({ _id: interview._id }, { $unset: { candidateDeletedAt: '' } }, { session }));
+    if (!booking.conflicts) {
+      restored++;
+      continue;
+    }
+
+    const updated = await interviewsCollection.findOneAndUpdate(
+      { _id: interview._id },
+      {
+        $unset: { candidateDeletedAt: '' },
+        $set: { status: 'Cancelled', cancelReason: 'The slot was booked while the candidate was in the trash', cancelledBy: req.user.uid, cancelledAt: new Date() },
+        $inc: { sequence: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+    await recordAudit(req, { action: 'interview.cancel', targetType: 'interview', targetId: interview._id, before: interview, after: updated });
+    await notifyInterview(updated, 'interviewCancelled');
+    cancelled.push({ interviewId: interview._id, conflicts: booking.conflicts });
+  }
+
+  return { restored, cancelled };
+};
+
+// Restores the candidate and the interviews that were hidden when it was deleted
+app.post('/api/trash/candidates/:id/restore', verifyToken, requirePermission('candidates.delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+
+    const candidatesCollection = db.collection('candidates');
+    const before = await candidatesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), deletedAt: { $ne: null } },
+      { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt: new Date() } }
+    );
+    if (!before) return res.status(404).send('Candidate not found in trash');
+
+    const { restored: interviewsRestored, cancelled } = await restoreCandidateInterviews(before._id, req);
+    const { deletedAt, deletedBy, ...restored } = before;
+    await recordAudit(req, {
+      action: 'candidate.restore',
+      targetType: 'candidate',
+      targetId: before._id,
+      before,
+      after: restored,
+      details: { interviewsRestored, interviewsCancelled: cancelled.map(c => c.interviewId) }
+    });
+    res.json({ message: 'Candidate restored', candidate: restored, interviewsRestored, interviewsCancelled: cancelled });
+  } catch (error) {
+    console.error('Restore Error:', error);
+    res.status(500).send('Error restoring candidate');
+  }
+});
+
+// Removes a trashed candidate, its interviews and its photo file. Cannot be undone.
+app.delete('/api/trash/candidates/:id', verifyToken, requirePermission('candidates.purge'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+
+    const candidatesCollection = db.collection('candidates');
+    const candidate = await candidatesCollection.findOneAndDelete({ _id: new ObjectId(id), deletedAt: { $ne: null } });
+    if (!candidate) return res.status(404).send('Candidate not found in trash');
+
+    const interviews = await db.collection('interviews').deleteMany({ candidateId: candidate._id });
+    const photoRemoved = await removeCandidatePhoto(candidate.photo);
+    const cvRemoved = await removeCandidateCv(candidate.cv);
+
+    await recordAudit(req, {
+      action: 'candidate.purge',
+      targetType: 'candidate',
+      targetId: candidate._id,
+      before: candidate,
+      after: null,
+      details: { interviewsDeleted: interviews.deletedCount, photoRemoved, cvRemoved }
+    });
+    res.json({ message: 'Candidate permanently deleted', interviewsDeleted: interviews.deletedCount, photoRemoved, cvRemoved });
+  } catch (error) {
+    console.error('Purge Error:', error);
+    res.status(500).send('Error purging candidate');
+  }
+});
+
+// Deletes an uploaded candidate photo unless a candidate or user still points at it (merges copy
+// photo URLs, and self-service profiles share their photo with the user). Anything outside
+// /uploads/candidates/ (e.g. a profile photo set on the candidate) is left alone.
+const removeCandidatePhoto = async (photo) => {
+  const photoPath = resolveUploadPath(photo);
+  if (!photoPath || path.dirname(photoPath) !== CANDIDATE_PHOTO_DIR) return false;
+  const [usedByCandidate, usedByUser] = await Promise.all([
+    db.collection('candidates').countDocuments({ photo }, { limit: 1 }),
+    db.collection('users').countDocuments({ photo }, { limit: 1 })
+  ]);
+  if (usedByCandidate > 0 || usedByUser > 0) return false;
+  try {
+    await fs.promises.unlink(photoPath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`WARNING: Could not remove photo ${photoPath}: ${error.message}`);
+    return false;
+  }
+};
+
+
+// --- Bulk Candidate Operations ---
+
+const BULK_MAX_ITEMS = 1000;
+
+// Body: { ids: [...] } or { filter: { same params as GET /api/candidates } }.
+// results starts with an entry for every id that could not be used.
+const resolveBulkTargets = async ({ ids, filter } = {}) => {
+  if ((ids === undefined) === (filter === undefined)) return { error: 'Provide either ids or filter' };
+  const candidatesCollection = db.collection('candidates');
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) return { error: 'ids must be a non-empty array' };
+    if (ids.length > BULK_MAX_ITEMS) return { error: `At most ${BULK_MAX_ITEMS} ids per request` };
+
+    const unique = [...new Set(ids.map(String))];
+    const results = unique
+      .filter(id => !ObjectId.isValid(id))
+      .map(id => ({ id, ok: false, error: 'Invalid candidate id' }));
+    const validIds = unique.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+
+    const candidates = await candidatesCollection.find({ _id: { $in: validIds }, ...NOT_DELETED }).toArray();
+    const found = new Set(candidates.map(c => String(c._id)));
+    validIds
+      .filter(id => !found.has(String(id)))
+      .forEach(id => results.push({ id: String(id), ok: false, error: 'Candidate not found' }));
+    return { candidates, results };
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return { error: 'filter must be an object' };
+  const { filter: query, error } = buildCandidateFilter(filter);
+  if (error) return { error };
+  // Only the implicit "not deleted" condition means the filter would hit everyone
+  if (Object.keys(query).length <= Object.keys(NOT_DELETED).length) {
+    return { error: 'filter must have at least one condition' };
+  }
+
+  const total = await candidatesCollection.countDocuments(query);
+  if (total > BULK_MAX_ITEMS) {
+    return { error: `Filter matches ${total} candidates, narrow it down to at most ${BULK_MAX_ITEMS}` };
+  }
+  return { candidates: await candidatesCollection.find(query).toArray(), results: [] };
+};
+
+// Applies fn to each candidate; fn returns an error message or nothing. One failing item
+// doesn't stop the rest. The request itself is audited as a summary next to the per-item entries.
+const runBulk = async (req, action, { candidates, results }, fn) => {
+  for (const candidate of candidates) {
+    const id = String(candidate._id);
+    try {
+      const error = await fn(candidate);
+      results.push(error ? { id, ok: false, error } : { id, ok: true });
+    } catch (err) {
+      console.error('Bulk Item Error:', err);
+      results.push({ id, ok: false, error: 'Unexpected error, please retry' });
+    }
+  }
+
+  const succeeded = results.filter(r => r.ok).length;
+  const summary = { total: results.length, succeeded, failed: results.length - succeeded };
+  await recordAudit(req, { action, targetType: 'candidate', details: summary });
+  return { ...summary, results };
+};
+
+// Body: { ids | filter, status, reason? }. Every item goes through the pipeline like PATCH /api/candidates/:id/status.
+app.post('/api/candidates/bulk/status', verifyToken, requirePermission('candidates.status'), async (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
+    if (!status) return res.status(400).send('Status is required');
+
+    const targets = await resolveBulkTargets(req.body);
+    if (targets.error) return res.status(400).send(targets.error);
+
+    res.json(await runBulk(req, 'candidate.bulk_status_change', targets, async (candidate) => {
+      const result = await changeCandidateStatus(candidate, status, { uid: req.user.uid, reason });
+      if (result.error) return result.error;
+      await recordAudit(req, {
+        action: 'candidate.status_change',
+        targetType: 'candidate',
+        targetId: candidate._id,
+        before: { status: candidate.status },
+        after: { status: result.candidate.status },
+        ...(reason ? { details: { reason } } : {})
+      });
+    }));
+  } catch (error) {
+    console.error('Bulk Status Error:', error);
+    res.status(500).send('Error changing candidate statuses');
+  }
+});
+
+// Body: { ids | filter, add?: [tag], remove?: [tag] }
+app.post('/api/candidates/bulk/tags', verifyToken, requirePermission('candidates.tag'), async (req, res) => {
+  try {
+    const { add = [], remove = [] } = req.body || {};
+    const errors = [];
+    const { value: toAdd, errors: addErrors } = validateCandidate({ tags: add }, { partial: true });
+    const { value: toRemove, errors: removeErrors } = validateCandidate({ tags: remove }, { partial: true });
+    addErrors.forEach(e => errors.push({ ...e, field: 'add' }));
+    removeErrors.forEach(e => errors.push({ ...e, field: 'remove' }));
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (!toAdd.tags?.length && !toRemove.tags?.length) return res.status(400).send('Nothing to add or remove');
+
+    const targets = await resolveBulkTargets(req.body);
+    if (targets.error) return res.status(400).send(targets.error);
+
+    const maxTags = CANDIDATE_SCHEMA.tags.maxItems;
+    res.json(await runBulk(req, 'candidate.bulk_tags', targets, async (candidate) => {
+      const current = candidate.tags || [];
+      const next = [...new Set([...current, ...(toAdd.tags || [])])].filter(tag => !(toRemove.tags || []).includes(tag));
+      if (next.length > maxTags) return `Would have more than ${maxTags} tags`;
+      if (JSON.stringify(next) === JSON.stringify(current)) return;
+
+      await db.collection('candidates').updateOne({ _id: candidate._id }, { $set: { tags: next, updatedAt: new Date() } });
+      await recordAudit(req, { action: 'candidate.tags_update', targetType: 'candidate', targetId: candidate._id, before: { tags: current }, after: { tags: next } });
+    }));
+  } catch (error) {
+    console.error('Bulk Tags Error:', error);
+    res.status(500).send('Error updating candidate tags');
+  }
+});
+
+// Body: { ids | filter, assignedTo: uid | null }. null clears the assignment.
+app.post('/api/candidates/bulk/assign', verifyToken, requirePermission('candidates.assign'), async (req, res) => {
+  try {
+    const { assignedTo } = req.body || {};
+    if (assignedTo === undefined) return res.status(400).send('assignedTo is required (use null to unassign)');
+    if (assignedTo !== null && typeof assignedTo !== 'string') return res.status(400).send('assignedTo must be a user id or null');
+    const assigneeError = await validateAssignee(assignedTo);
+    if (assigneeError) return sendValidationError(res, [{ field: 'assignedTo', message: assigneeError }]);
+
+    const targets = await resolveBulkTargets(req.body);
+    if (targets.error) return res.status(400).send(targets.error);
+
+    res.json(await runBulk(req, 'candidate.bulk_assign', targets, candidate => assignCandidate(req, candidate, assignedTo)));
+  } catch (error) {
+    console.error('Bulk Assign Error:', error);
+    res.status(500).send('Error assigning candidates');
+  }
+});
+
+// Body: { ids | filter }. Moves the candidates to the trash like DELETE /api/candidates/:id.
+app.post('/api/candidates/bulk/delete', verifyToken, requirePermission('candidates.delete'), async (req, res) => {
+  try {
+    const targets = await resolveBulkTargets(req.body);
+    if (targets.error) return res.status(400).send(targets.error);
+
+    res.json(await runBulk(req, 'candidate.bulk_delete', targets, async (candidate) => {
+      const result = await softDeleteCandidate(req, candidate._id);
+      if (!result) return 'Candidate not found';
+    }));
+  } catch (error) {
+    console.error('Bulk Delete Error:', error);
+    res.status(500).send('Error deleting candidates');
+  }
+});
+
+
+// --- Candidate Tags, Notes & Assignment ---
+
+const NOTE_MAX_LENGTH = 5000;
+
+// Loads a non-deleted candidate for the routes below, sending 400/404 itself when it can't
+const loadCandidate = async (id, res, projection) => {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).send('Invalid candidate id');
+    return null;
+  }
+  const candidate = await db.collection('candidates').findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection });
+  if (!candidate) {
+    res.status(404).send('Candidate not found');
+    return null;
+  }
+  return candidate;
+};
+
+const validateNoteBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) return 'Required';
+  if (body.trim().length > NOTE_MAX_LENGTH) return `Must be at most ${NOTE_MAX_LENGTH} characters`;
+  return null;
+};
+
+// Sets or clears (assignedTo = null) the recruiter; the assignee must already be validated
+const assignCandidate = async (req, candidate, assignedTo) => {
+  if ((candidate.assignedTo || null) === (assignedTo || null)) return;
+  const update = assignedTo
+    ? { $set: { assignedTo, updatedAt: new Date() } }
+    : { $unset: { assignedTo: '' }, $set: { updatedAt: new Date() } };
+  await db.collection('candidates').updateOne({ _id: candidate._id }, update);
+  await recordAudit(req, {
+    action: 'candidate.assign',
+    targetType: 'candidate',
+    targetId: candidate._id,
+    before: { assignedTo: candidate.assignedTo },
+    after: { assignedTo: assignedTo || undefined }
+  });
+};
+
+// All tags in use with how many candidates carry each, for autocomplete and filter pickers
+app.get('/api/tags', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    const tags = await db.collection('candidates').aggregate([
+      { $match: { ...NOT_DELETED, 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]).toArray();
+    res.json(tags);
+  } catch (error) {
+    console.error('Fetch Tags Error:', error);
+    res.status(500).send('Error fetching tags');
+  }
+});
+
+// Body: { tags: [...] }. Replaces the candidate's tags.
+app.put('/api/candidates/:id/tags', verifyToken, requirePermission('candidates.tag'), async (req, res) => {
+  try {
+    const { value, errors } = validateCandidate({ tags: req.body?.tags ?? [] }, { partial: true });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const candidate = await loadCandidate(req.params.id, res, { tags: 1 });
+    if (!candidate) return;
+
+    await db.collection('candidates').updateOne({ _id: candidate._id }, { $set: { tags: value.tags, updatedAt: new Date() } });
+    await recordAudit(req, { action: 'candidate.tags_update', targetType: 'candidate', targetId: candidate._id, before: { tags: candidate.tags || [] }, after: { tags: value.tags } });
+    res.json({ tags: value.tags });
+  } catch (error) {
+    console.error('Update Tags Error:', error);
+    res.status(500).send('Error updating tags');
+  }
+});
+
+// Body: { assignedTo: uid | null }
+app.put('/api/candidates/:id/assignee', verifyToken, requirePermission('candidates.assign'), async (req, res) => {
+  try {
+    const { assignedTo } = req.body || {};
+    if (assignedTo === undefined) return res.status(400).send('assignedTo is required (use null to unassign)');
+    if (assignedTo !== null && typeof assignedTo !== 'string') return res.status(400).send('assignedTo must be a user id or null');
+    const assigneeError = await validateAssignee(assignedTo);
+    if (assigneeError) return sendValidationError(res, [{ field: 'assignedTo', message: assigneeError }]);
+
+    const candidate = await loadCandidate(req.params.id, res, { assignedTo: 1 });
+    if (!candidate) return;
+
+    await assignCandidate(req, candidate, assignedTo);
+    res.json({ assignedTo: assignedTo || null });
+  } catch (error) {
+    console.error('Assign Candidate Error:', error);
+    res.status(500).send('Error assigning candidate');
+  }
+});
+
+// Notes oldest first, each with its author's name
+app.get('/api/candidates/:id/notes', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    const candidate = await loadCandidate(req.params.id, res, { notes: 1 });
+    if (!candidate) return;
+
+    const notes = candidate.notes || [];
+    const authors = await db.collection('users')
+      .find({ uid: { $in: [...new Set(notes.map(n => n.authorUid))] } }, { projection: { _id: 0, uid: 1, name: 1, email: 1 } })
+      .toArray();
+    const byUid = new Map(authors.map(a => [a.uid, a]));
+
+    res.json(notes.map(note => ({ ...note, author: byUid.get(note.authorUid) || null })));
+  } catch (error) {
+    console.error('Fetch Notes Error:', error);
+    res.status(500).send('Error fetching notes');
+  }
+});
+
+// Body: { body }
+app.post('/api/candidates/:id/notes', verifyToken, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const bodyError = validateNoteBody(req.body?.body);
+    if (bodyError) return sendValidationError(res, [{ field: 'body', message: bodyError }]);
+
+    const candidate = await loadCandidate(req.params.id, res, { _id: 1 });
+    if (!candidate) return;
+
+    const note = { _id: new ObjectId(), body: req.body.body.trim(), authorUid: req.user.uid, createdAt: new Date() };
+    await db.collection('candidates').updateOne({ _id: candidate._id }, { $push: { notes: note } });
+    await recordAudit(req, { action: 'candidate.note_add', targetType: 'candidate', targetId: candidate._id, details: { noteId: String(note._id) } });
+    res.status(201).json(note);
+  } catch (error) {
+    console.error('Add Note Error:', error);
+    res.status(500).send('Error adding note');
+  }
+});
+
+// Finds a note and checks the caller may change it: its author or an admin
+const loadEditableNote = async (req, res) => {
+  const candidate = await loadCandidate(req.params.id, res, { notes: 1 });
+  if (!candidate) return null;
+  if (!ObjectId.isValid(req.params.noteId)) {
+    res.status(400).send('Invalid note id');
+    return null;
+  }
+  const note = (candidate.notes || []).find(n => String(n._id) === req.params.noteId);
+  if (!note) {
+    res.status(404).send('Note not found');
+    return null;
+  }
+  if (note.authorUid !== req.user.uid && !hasPermission(req, 'notes.moderate')) {
+    res.status(403).send('Only the author or a moderator can change this note');
+    return null;
+  }
+  return { candidate, note };
+};
+
+// Body: { body }
+app.patch('/api/candidates/:id/notes/:noteId', verifyToken, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const bodyError = validateNoteBody(req.body?.body);
+    if (bodyError) return sendValidationError(res, [{ field: 'body', message: bodyError }]);
+
+    const found = await loadEditableNote(req, res);
+    if (!found) return;
+    const { candidate, note } = found;
+
+    const updated = { ...note, body: req.body.body.trim(), updatedAt: new Date(), updatedBy: req.user.uid };
+    await db.collection('candidates').updateOne(
+      { _id: candidate._id, 'notes._id': note._id },
+      { $set: { 'notes.$': updated } }
+    );
+    await recordAudit(req, {
+      action: 'candidate.note_update',
+      targetType: 'candidate',
+      targetId: candidate._id,
+      before: { body: note.body },
+      after: { body: updated.body },
+      details: { noteId: String(note._id) }
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Update Note Error:', error);
+    res.status(500).send('Error updating note');
+  }
+});
+
+app.delete('/api/candidates/:id/notes/:noteId', verifyToken, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const found = await loadEditableNote(req, res);
+    if (!found) return;
+    const { candidate, note } = found;
+
+    await db.collection('candidates').updateOne({ _id: candidate._id }, { $pull: { notes: { _id: note._id } } });
+    await recordAudit(req, {
+      action: 'candidate.note_delete',
+      targetType: 'candidate',
+      targetId: candidate._id,
+      before: { body: note.body },
+      after: null,
+      details: { noteId: String(note._id), authorUid: note.authorUid }
+    });
+    res.json({ message: 'Note deleted' });
+  } catch (error) {
+    console.error('Delete Note Error:', error);
+    res.status(500).send('Error deleting note');
+  }
+});
+
+
+// --- Interview Scheduling ---
+
+const DEFAULT_INTERVIEW_DURATION = 60; // minutes
+const INTERVIEW_STATUSES = ['Scheduled', 'Completed', 'Cancelled', 'No Show'];
+const ACTIVE_INTERVIEW_STATUSES = ['Scheduled'];
+const FEEDBACK_RECOMMENDATIONS = ['strong_hire', 'hire', 'no_hire', 'strong_no_hire'];
+
+// Wall-clock date/time are always read in an explicit IANA zone, never the server's own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Dhaka';
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const getTimeZoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const v = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  return Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second) - instant.getTime();
+};
+
+// "2026-01-05" + "14:30" in Asia/Dhaka -> 2026-01-05T08:30:00Z. The second pass settles DST edges.
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const correctedOffset = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - correctedOffset);
+};
+
+// "2026-02-31" matches the pattern but Date rolls it over to March 3, so the date has to round-trip
+const isCalendarDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const isClockTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// date "YYYY-MM-DD" + time "HH:mm" in timeZone -> { startsAt, endsAt }
+const buildInterviewSlot = (date, time, duration, timeZone = DEFAULT_TIMEZONE) => {
+  if (!isCalendarDate(date) || !isClockTime(time)) return null;
+  if (!isValidTimeZone(timeZone)) return null;
+  const startsAt = zonedTimeToUtc(date, time, timeZone);
+  if (isNaN(startsAt)) return null;
+  return { startsAt, endsAt: new Date(startsAt.getTime() + duration * 60000) };
+};
+
+// Validates interview fields and checks that every interviewer is a staff/admin user.
+// Returns { value, errors } in the same shape as validateCandidate.
+const validateInterviewDetails = async (body = {}, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  ['date', 'time'].forEach((field) => {
+    if (body[field] === undefined) {
+      if (!partial) errors.push({ field, message: 'Required' });
+      return;
+    }
+    const isValid = field === 'date' ? isCalendarDate : isClockTime;
+    if (!isValid(body[field])) {
+      errors.push({ field, message: field === 'date' ? 'Must be YYYY-MM-DD' : 'Must be HH:mm' });
+      return;
+    }
+    value[field] = body[field];
+  });
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimeZone(body.timezone)) {
+      errors.push({ field: 'timezone', message: 'Must be an IANA time zone such as Asia/Dhaka' });
+    } else {
+      value.timezone = body.timezone;
+    }
+  } else if (!partial) {
+    value.timezone = DEFAULT_TIMEZONE;
+  }
+
+  if (body.duration !== undefined) {
+    const duration = Number(body.duration);
+    if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+      errors.push({ field: 'duration', message: 'Must be a whole number of minutes between 5 and 480' });
+    } else {
+      value.duration = duration;
+    }
+  } else if (!partial) {
+    value.duration = DEFAULT_INTERVIEW_DURATION;
+  }
+
+  if (body.type !== undefined) {
+    if (typeof body.type !== 'string' || body.type.length > 100) errors.push({ field: 'type', message: 'Must be a string of at most 100 characters' });
+    else value.type = body.type.trim() || 'General';
+  } else if (!partial) {
+    value.type = 'General';
+  }
+
+  if (body.location !== undefined) {
+    if (typeof body.location !== 'string' || body.location.length > 300) errors.push({ field: 'location', message: 'Must be a string of at most 300 characters' });
+    else value.location = body.location.trim();
+  }
+
+  if (body.meetingLink !== undefined) {
+    const link = typeof body.meetingLink === 'string' ? body.meetingLink.trim() : null;
+    if (link === null || (link && !/^https?:\/\/\S+$/i.test(link))) errors.push({ field: 'meetingLink', message: 'Must be an http(s) URL' });
+    else value.meetingLink = link;
+  }
+
+  if (body.interviewers !== undefined) {
+    const interviewers = Array.isArray(body.interviewers) ? [...new Set(body.interviewers)] : null;
+    if (!interviewers || interviewers.some(uid => typeof uid !== 'string' || !uid)) {
+      errors.push({ field: 'interviewers', message: 'Must be a list of user ids' });
+    } else {
+      const roles = await getRoleNamesWithPermission('interviews.feedback');
+      const staff = await db.collection('users')
+        .find({ uid: { $in: interviewers }, role: { $in: roles }, deactivatedAt: null }, { projection: { uid: 1 } })
+        .toArray();
+      const found = new Set(staff.map(u => u.uid));
+      const invalid = interviewers.filter(uid => !found.has(uid));
+      if (invalid.length > 0) errors.push({ field: 'interviewers', message: `Not allowed to interview: ${invalid.join(', ')}` });
+      else value.interviewers = interviewers;
+    }
+  } else if (!partial) {
+    value.interviewers = [];
+  }
+
+  return { value, errors };
+};
+
+// Active interviews overlapping the slot that share the candidate or any interviewer
+const findInterviewConflicts = async ({ candidateId, interviewers = [], startsAt, endsAt, excludeId }, session) => {
+  const shared = [{ candidateId }];
+  if (interviewers.length > 0) shared.push({ interviewers: { $in: interviewers } });
+
+  const conflicts = await db.collection('interviews').find({
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    ...VISIBLE_INTERVIEW,
+    status: { $in: ACTIVE_INTERVIEW_STATUSES },
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt },
+    $or: shared
+  }, { projection: { candidateId: 1, interviewers: 1, date: 1, time: 1, startsAt: 1, endsAt: 1, type: 1 }, session }).toArray();
+
+  return conflicts.map(conflict => ({
+    ...conflict,
+    conflictsWith: [
+      ...(String(conflict.candidateId) === String(candidateId) ? ['candidate'] : []),
+      ...(conflict.interviewers || []).filter(uid => interviewers.includes(uid)).map(uid => `interviewer:${uid}`)
+    ]
+  }));
+};
+
+// Bumps one lock document per candidate and interviewer. Two bookings sharing a person then write the
+// same document, so MongoDB aborts one of them and withTransaction re-runs its conflict check.
+const lockInterviewParticipants = async (session, { candidateId, interviewers = [] }) => {
+  for (const _id of [`candidate:${candidateId}`, ...interviewers.map(uid => `user:${uid}`)]) {
+    await db.collection('interviewLocks').updateOne({ _id }, { $inc: { version: 1 } }, { upsert: true, session });
+  }
+};
+
+// Checks the slot and runs write(session) in one transaction. Returns { conflicts } when the slot
+// is taken, otherwise { result } with whatever write returned.
+const bookInterviewSlot = (slot, write) => runInTransaction(async (session) => {
+  await lockInterviewParticipants(session, slot);
+  const conflicts = await findInterviewConflicts(slot, session);
+  if (conflicts.length > 0) return { conflicts };
+  return { result: await write(session) };
+});
+
+const sendInterviewConflict = (res, conflicts) =>
+  res.status(409).json({ message: 'Interview overlaps with existing interviews', conflicts });
+
+// Body: { candidateId, date, time, duration?, type?, interviewers?: [uid], location?, meetingLink? }
+app.post('/api/interviews', verifyToken, requirePermission('interviews.schedule'), async (req, res) => {
+  try {
+    const { candidateId } = req.body; 
+
+    if (!candidateId || !req.body.date || !req.body.time) {
+      return res.status(400).send('Missing required fields');
+    }
+    if (!ObjectId.isValid(candidateId)) return res.status(400).send('Invalid candidate id');
+
+    const { value: details, errors } = await validateInterviewDetails(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const slot = buildInterviewSlot(details.date, details.time, details.duration, details.timezone);
+    if (!slot) return sendValidationError(res, [{ field: 'date', message: 'Invalid date or time' }]);
+
+    const candidate = await db.collection('candidates').findOne({ _id: new ObjectId(candidateId), ...NOT_DELETED });
+    if (!candidate) return res.status(404).send('Candidate not found');
+
+    const check = checkStatusTransition(await getPipeline(), candidate.status, 'interview scheduled');
+    if (check.error) return res.status(409).json({ message: check.error, allowed: check.allowed });
+
+    const interview = {
+      candidateId: candidate._id,
+      ...details,
+      ...slot,
+      status: 'Scheduled',
+      sequence: 0, // bumped on every reschedule/cancel
+      scheduledBy: req.user.uid,
+      createdAt: new Date()
+    };
+
+    const interviewsCollection = db.collection('interviews');
+    const booking = await bookInterviewSlot({ candidateId: candidate._id, interviewers: details.interviewers, ...slot }, async (session) => {
+      const result = await interviewsCollection.insertOne(interview, { session });
+      // The interview only exists if the candidate actually moved to "interview scheduled"
+      const change = await changeCandidateStatus(candidate, 'interview scheduled', { uid: req.user.uid, reason: 'Interview scheduled', notify: false, session });
+      if (change.error) throw new TransactionAbort(change.code, { message: change.error, allowed: change.allowed });
+      return result.insertedId;
+    });
+    if (booking.conflicts) return sendInterviewConflict(res, booking.conflicts);
+
+    await recordAudit(req, { action: 'interview.create', targetType: 'interview', targetId: booking.result, after: interview });
+    await notifyInterview(interview, 'interviewInvitation');
+
+    res.status(201).json({ message: 'Interview scheduled', id: booking.result });
+
+  } catch (error) {
+    if (error instanceof TransactionAbort) return error.send(res);
+    console.error('Schedule Error:', error);
+    res.status(500).send('Error scheduling interview');
+  }
+});
+
+const loadActiveInterview = async (id, res) => {
+  if (!ObjectId.isValid(id)) {
+    res.status(400).send('Invalid interview id');
+    return null;
+  }
+  const interview = await db.collection('interviews').findOne({ _id: new ObjectId(id), ...VISIBLE_INTERVIEW });
+  if (!interview) {
+    res.status(404).send('Interview not found');
+    return null;
+  }
+  if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+    res.status(409).send(`Cannot change an interview that is ${interview.status}`);
+    return null;
+  }
+  return interview;
+};
+
+// Change the interviewers, type or location of a scheduled interview.
+// Moving it to another time goes through POST /api/interviews/:id/reschedule so the old slot is kept.
+app.patch('/api/interviews/:id', verifyToken, requirePermission('interviews.schedule'), async (req, res) => {
+  try {
+    if (['date', 'time', 'duration', 'timezone'].some(field => req.body?.[field] !== undefined)) {
+      return res.status(400).send('Use POST /api/interviews/:id/reschedule to change the date, time, duration or timezone');
+    }
+
+    const interviewsCollection = db.collection('interviews');
+    const interview = await loadActiveInterview(req.params.id, res);
+    if (!interview) return;
+
+    const { value: details, errors } = await validateInterviewDetails(req.body, { partial: true });
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (Object.keys(details).length === 0) return res.status(400).send('No fields to update');
+
+    const next = { ...interview, ...details };
+    const slot = buildInterviewSlot(next.date, next.time, next.duration || DEFAULT_INTERVIEW_DURATION, next.timezone || DEFAULT_TIMEZONE);
+    if (!slot) return sendValidationError(res, [{ field: 'date', message: 'Invalid date or time' }]);
+
+    const booking = await bookInterviewSlot({
+      candidateId: interview.candidateId,
+      interviewers: next.interviewers || [],
+      ...slot,
+      excludeId: interview._id
+    }, async (session) => {
+      const updated = await interviewsCollection.findOneAndUpdate(
+        { _id: interview._id, status: interview.status },
+        { $set: { ...details, ...slot, updatedBy: req.user.uid, updatedAt: new Date() }, $inc: { sequence: 1 } },
+        { returnDocument: 'after', session }
+      );
+      if (!updated) throw new TransactionAbort(409, 'Interview was changed by someone else, please reload');
+      return updated;
+    });
+    if (booking.conflicts) return sendInterviewConflict(res, booking.conflicts);
+    const updated = booking.result;
+
+    await recordAudit(req, { action: 'interview.update', targetType: 'interview', targetId: interview._id, before: interview, after: updated });
+    res.json(updated);
+
+  } catch (error) {
+    if (error instanceof TransactionAbort) return error.send(res);
+    console.error('Update Interview Error:', error);
+    res.status(500).send('Error updating interview');
+  }
+});
+
+// Body: { date, time, duration?, reason? }. The previous slot is appended to rescheduleHistory.
+app.post('/api/interviews/:id/reschedule', verifyToken, requirePermission('interviews.schedule'), async (req, res) => {
+  try {
+    const interview = await loadActiveInterview(req.params.id, res);
+    if (!interview) return;
+
+    const { date, time, duration, timezone, reason } = req.body || {};
+    const { value: details, errors } = await validateInterviewDetails({ date, time, duration, timezone }, { partial: true });
+    if (!date) errors.push({ field: 'date', message: 'Required' });
+    if (!time) errors.push({ field: 'time', message: 'Required' });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const nextDuration = details.duration || interview.duration || DEFAULT_INTERVIEW_DURATION;
+    const nextTimezone = details.timezone || interview.timezone || DEFAULT_TIMEZONE;
+    const slot = buildInterviewSlot(details.date, details.time, nextDuration, nextTimezone);
+    if (!slot) return sendValidationError(res, [{ field: 'date', message: 'Invalid date or time' }]);
+
+    const previous = {
+      date: interview.date,
+      time: interview.time,
+      duration: interview.duration,
+      timezone: interview.timezone,
+      startsAt: interview.startsAt,
+      endsAt: interview.endsAt,
+      rescheduledBy: req.user.uid,
+      rescheduledAt: new Date(),
+      ...(reason ? { reason: String(reason) } : {})
+    };
+
+    const booking = await bookInterviewSlot({
+      candidateId: interview.candidateId,
+      interviewers: interview.interviewers || [],
+      ...slot,
+      excludeId: interview._id
+    }, async (session) => {
+      const updated = await db.collection('interviews').findOneAndUpdate(
+        { _id: interview._id, status: interview.status },
+        {
+          $set: {
+            date: details.date,
+            time: details.time,
+            duration: nextDuration,
+            timezone: nextTimezone,
+            ...slot,
+            updatedBy: req.user.uid,
+            updatedAt: new Date()
+          },
+          // The new slot needs a fresh reminder and a fresh answer from the candidate
+          $unset: { reminderSentAt: '', candidateResponse: '' },
+          $push: { rescheduleHistory: { ...previous, ...(interview.candidateResponse ? { candidateResponse: interview.candidateResponse } : {}) } },
+          $inc: { sequence: 1 }
+        },
+        { returnDocument: 'after', session }
+      );
+      if (!updated) throw new TransactionAbort(409, 'Interview was changed by someone else, please reload');
+      return updated;
+    });
+    if (booking.conflicts) return sendInterviewConflict(res, booking.conflicts);
+    const updated = booking.result;
+
+    await recordAudit(req, { action: 'interview.reschedule', targetType: 'interview', targetId: interview._id, before: interview, after: updated });
+    await notifyInterview(updated, 'interviewRescheduled', { previous });
+    res.json(updated);
+
+  } catch (error) {
+    if (error instanceof TransactionAbort) return error.send(res);
+    console.error('Reschedule Error:', error);
+    res.status(500).send('Error rescheduling interview');
+  }
+});
+
+// Body: { reason }
+app.post('/api/interviews/:id/cancel', verifyToken, requirePermission('interviews.schedule'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return sendValidationError(res, [{ field: 'reason', message: 'Required' }]);
+    }
+
+    const interview = await loadActiveInterview(req.params.id, res);
+    if (!interview) return;
+
+    const updated = await db.collection('interviews').findOneAndUpdate(
+      { _id: interview._id, status: interview.status },
+      {
+        $set: { status: 'Cancelled', cancelReason: reason.trim(), cancelledBy: req.user.uid, cancelledAt: new Date() },
+        $inc: { sequence: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).send('Interview was changed by someone else, please reload');
+
+    await recordAudit(req, { action: 'interview.cancel', targetType: 'interview', targetId: interview._id, before: interview, after: updated });
+    await notifyInterview(updated, 'interviewCancelled');
+    res.json(updated);
+
+  } catch (error) {
+    console.error('Cancel Interview Error:', error);
+    res.status(500).send('Error cancelling interview');
+  }
+});
+
+// Body: { notes? }. Only once the interview has started.
+app.post('/api/interviews/:id/no-show', verifyToken, requirePermission('interviews.schedule'), async (req, res) => {
+  try {
+    const interview = await loadActiveInterview(req.params.id, res);
+    if (!interview) return;
+    if (interview.startsAt && new Date(interview.startsAt) > new Date()) {
+      return res.status(409).send('Cannot mark a no-show before the interview starts');
+    }
+
+    const { notes } = req.body || {};
+    const updated = await db.collection('interviews').findOneAndUpdate(
+      { _id: interview._id, status: interview.status },
+      {
+        $set: {
+          status: 'No Show',
+          noShowMarkedBy: req.user.uid,
+          noShowMarkedAt: new Date(),
+          ...(notes ? { noShowNotes: String(notes) } : {})
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).send('Interview was changed by someone else, please reload');
+    await recordAudit(req, { action: 'interview.no_show', targetType: 'interview', targetId: interview._id, before: interview, after: updated });
+    res.json(updated);
+
+  } catch (error) {
+    console.error('No-Show Error:', error);
+    res.status(500).send('Error marking no-show');
+  }
+});
+
+const validateFeedback = ({ ratings, recommendation, notes } = {}) => {
+  const errors = [];
+  const value = { ratings: {} };
+
+  if (!ratings || typeof ratings !== 'object' || Array.isArray(ratings) || Object.keys(ratings).length === 0) {
+    errors.push({ field: 'ratings', message: 'Must rate at least one competency' });
+  } else if (Object.keys(ratings).length > 20) {
+    errors.push({ field: 'ratings', message: 'At most 20 competencies' });
+  } else {
+    Object.entries(ratings).forEach(([competency, rating]) => {
+      const score = Number(rating);
+      if (!competency.trim() || competency.length > 50) {
+        errors.push({ field: `ratings.${competency}`, message: 'Competency names must be 1-50 characters' });
+      } else if (!Number.isInteger(score) || score < 1 || score > 5) {
+        errors.push({ field: `ratings.${competency}`, message: 'Must be a whole number from 1 to 5' });
+      } else {
+        value.ratings[competency.trim()] = score;
+      }
+    });
+  }
+
+  if (!FEEDBACK_RECOMMENDATIONS.includes(recommendation)) {
+    errors.push({ field: 'recommendation', message: `Must be one of ${FEEDBACK_RECOMMENDATIONS.join(', ')}` });
+  } else {
+    value.recommendation = recommendation;
+  }
+
+  if (notes !== undefined) {
+    if (typeof notes !== 'string' || notes.length > 5000) errors.push({ field: 'notes', message: 'Must be a string of at most 5000 characters' });
+    else value.notes = notes.trim();
+  }
+
+  return { value, errors };
+};
+
+// Feedback moves the candidate to "interviewed"; once every interviewer has
+// recommended against hiring, the candidate is rejected.
+const applyFeedbackToCandidate = async (interview, uid) => {
+  const candidate = await db.collection('candidates').findOne({ _id: interview.candidateId });
+  if (!candidate) return;
+
+  const feedback = interview.feedback || [];
+  const expected = interview.interviewers?.length ? interview.interviewers : feedback.map(f => f.interviewerUid);
+  const allIn = expected.every(interviewer => feedback.some(f => f.interviewerUid === interviewer));
+  const allNegative = allIn && feedback.every(f => ['no_hire', 'strong_no_hire'].includes(f.recommendation));
+
+  let current = candidate;
+  if (normalizeStatus(current.status) !== 'interviewed') {
+    const result = await changeCandidateStatus(current, 'interviewed', { uid, reason: 'Interview feedback submitted' });
+    if (result.candidate) current = result.candidate;
+  }
+  if (allNegative) {
+    await changeCandidateStatus(current, 'rejected', { uid, reason: 'All interviewers recommended no hire' });
+  }
+};
+
+// Body: { ratings: { communication: 4, ... }, recommendation, notes? }.
+// Submitted by an assigned interviewer (or an admin); resubmitting replaces your earlier feedback.
+app.post('/api/interviews/:id/feedback', verifyToken, requirePermission('interviews.feedback', 'interviews.feedback_any'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid interview id');
+
+    const interviewsCollection = db.collection('interviews');
+    const interview = await interviewsCollection.findOne({ _id: new ObjectId(id), ...VISIBLE_INTERVIEW });
+    if (!interview) return res.status(404).send('Interview not found');
+    if (['Cancelled', 'No Show'].includes(interview.status)) {
+      return res.status(409).send(`Cannot add feedback to an interview that is ${interview.status}`);
+    }
+
+    const isInterviewer = (interview.interviewers || []).includes(req.user.uid);
+    if (!isInterviewer && !hasPermission(req, 'interviews.feedback_any')) {
+      return res.status(403).send('Only assigned interviewers can submit feedback');
+    }
+
+    const { value, errors } = validateFeedback(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const now = new Date();
+    const entry = { interviewerUid: req.user.uid, ...value, submittedAt: now };
+    const wasScheduled = { $eq: ['$status', 'Scheduled'] };
+
+    // Replace this interviewer's entry on the server in one update, so two interviewers
+    // submitting at the same time can't overwrite each other's feedback
+    const updated = await interviewsCollection.findOneAndUpdate(
+      { _id: interview._id, ...VISIBLE_INTERVIEW, status: { $nin: ['Cancelled', 'No Show'] } },
+      [{
+        $set: {
+          feedback: {
+            $concatArrays: [
+              { $filter: { input: { $ifNull: ['$feedback', []] }, cond: { $ne: ['$$this.interviewerUid', req.user.uid] } } },
+              { $literal: [entry] }
+            ]
+          },
+          status: { $cond: [wasScheduled, 'Completed', '$status'] },
+          completedAt: { $cond: [wasScheduled, now, '$completedAt'] }
+        }
+      }],
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).send('The interview was cancelled or removed before the feedback was saved');
+
+    await applyFeedbackToCandidate(updated, req.user.uid);
+    await recordAudit(req, { action: 'interview.feedback', targetType: 'interview', targetId: interview._id, before: interview, after: updated });
+    res.json(updated);
+
+  } catch (error) {
+    console.error('Feedback Error:', error);
+    res.status(500).send('Error submitting feedback');
+  }
+});
+
+// All interview feedback for a candidate, with the average rating per competency
+app.get('/api/candidates/:id/feedback', verifyToken, requirePermission('interviews.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid candidate id');
+
+    const interviews = await db.collection('interviews')
+      .find({ candidateId: new ObjectId(id), 'feedback.0': { $exists: true }, ...VISIBLE_INTERVIEW })
+      .sort({ startsAt: 1 })
+      .toArray();
+
+    const totals = {};
+    const feedback = [];
+    interviews.forEach((interview) => {
+      interview.feedback.forEach((entry) => {
+        feedback.push({ interviewId: interview._id, type: interview.type, date: interview.date, ...entry });
+        Object.entries(entry.ratings || {}).forEach(([competency, score]) => {
+          totals[competency] = totals[competency] || { sum: 0, count: 0 };
+          totals[competency].sum += score;
+          totals[competency].count++;
+        });
+      });
+    });
+
+    const averages = {};
+    Object.entries(totals).forEach(([competency, { sum, count }]) => {
+      averages[competency] = Number((sum / count).toFixed(2));
+    });
+
+    res.json({ feedback, averages });
+  } catch (error) {
+    console.error('Fetch Feedback Error:', error);
+    res.status(500).send('Error fetching feedback');
+  }
+});
+
+
+app.get('/api/interviews', verifyToken, requirePermission('interviews.read'), async (req, res) => {
+  try {
+    const interviewsCollection = db.collection('interviews');
+
+    // Completing past interviews is done by runMaintenance, not on read
+    const interviews = await interviewsCollection.aggregate([
+      { $match: VISIBLE_INTERVIEW },
+      {
+        $lookup: {
+          from: 'candidates',
+          localField: 'candidateId',
+          foreignField: '_id',
+          as: 'candidate'
+        }
+      },
+      { $unwind: '$candidate' },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'interviewers',
+          foreignField: 'uid',
+          pipeline: [{ $project: { _id: 0, uid: 1, name: 1, email: 1 } }],
+          as: 'interviewerUsers'
+        }
+      },
+      { $sort: { startsAt: 1, date: 1, time: 1 } }
+    ]).toArray();
+
+    res.json(interviews);
+
+  } catch (error) {
+    console.error('Fetch Interviews Error:', error);
+    res.status(500).send('Error fetching interviews');
+  }
+});
+
+
+app.put('/api/interviews/:id/status', verifyToken, requirePermission('interviews.schedule'), async (req, res) => {
+  try {
+    const { status } = req.body || {};
+
+    if (!INTERVIEW_STATUSES.includes(status)) {
+      return res.status(400).send(`Invalid status, use one of ${INTERVIEW_STATUSES.join(', ')}`);
+    }
+    if (status === 'Cancelled' || status === 'No Show') {
+      return res.status(400).send('Use the cancel or no-show endpoints so the reason is recorded');
+    }
+    // Reopening a finished interview would skip the booking conflict check, so schedule a new one instead
+    if (ACTIVE_INTERVIEW_STATUSES.includes(status)) {
+      return res.status(400).send('Schedule a new interview instead of reopening this one');
+    }
+
+    const interview = await loadActiveInterview(req.params.id, res);
+    if (!interview) return;
+
+    const before = await db.collection('interviews').findOneAndUpdate(
+      { _id: interview._id, status: interview.status },
+      { $set: { status, updatedBy: req.user.uid, updatedAt: new Date() } }
+    );
+
+    if (!before) return res.status(409).send('Interview was changed by someone else, please reload');
+    await recordAudit(req, {
+      action: 'interview.status_change',
+      targetType: 'interview',
+      targetId: before._id,
+      before: { status: before.status },
+      after: { status }
+    });
+    res.json({ message: 'Status updated' });
+
+  } catch (error) {
+    console.error('Interview Status Error:', error);
+    res.status(500).send('Error updating interview status');
+  }
+});
+
+
+// --- Maintenance ---
+
+// reminderHours: 0 turns interview reminder emails off
+const DEFAULT_MAINTENANCE_SETTINGS = { autoCompleteEnabled: true, graceMinutes: 60, reminderHours: 24 };
+const MAINTENANCE_INTERVAL_MINUTES = Number(process.env.MAINTENANCE_INTERVAL_MINUTES) || 15;
+
+const getMaintenanceSettings = async () => {
+  const stored = await db.collection('settings').findOne({ _id: 'interviewMaintenance' });
+  if (!stored) return { ...DEFAULT_MAINTENANCE_SETTINGS };
+  const { _id, ...settings } = stored;
+  return { ...DEFAULT_MAINTENANCE_SETTINGS, ...settings };
+};
+
+// Older interviews only have date/time strings. Treat them as DEFAULT_TIMEZONE wall-clock and
+// fill in timezone/startsAt/endsAt. Safe to run repeatedly: migrated records are skipped.
+const migrateInterviewTimestamps = async () => {
+  const interviewsCollection = db.collection('interviews');
+  const legacy = await interviewsCollection
+    .find({ $or: [{ timezone: { $exists: false } }, { startsAt: { $exists: false } }] })
+    .toArray();
+
+  let migrated = 0;
+  const failed = [];
+  for (const interview of legacy) {
+    const timezone = interview.timezone || DEFAULT_TIMEZONE;
+    const duration = interview.duration || DEFAULT_INTERVIEW_DURATION;
+    const slot = buildInterviewSlot(interview.date, interview.time, duration, timezone);
+    if (!slot) {
+      failed.push({ id: interview._id, date: interview.date, time: interview.time });
+      continue;
+    }
+    await interviewsCollection.updateOne(
+      { _id: interview._id },
+      { $set: { timezone, duration, ...slot } }
+    );
+    migrated++;
+  }
+  return { migrated, failed };
+};
+
+// Marks Scheduled interviews Completed once endsAt + graceMinutes has passed, queues reminders
+// for interviews starting within reminderHours, runs queued import jobs, flushes the email outbox
+// and drops expired import previews
+const runInterviewMaintenance = async (now = new Date()) => {
+  const settings = await getMaintenanceSettings();
+  const interviewsCollection = db.collection('interviews');
+  const result = { completed: 0, reminders: 0, ranAt: now };
+
+  if (settings.autoCompleteEnabled) {
+    const cutoff = new Date(now.getTime() - settings.graceMinutes * 60000);
+    const update = await interviewsCollection.updateMany(
+      { status: 'Scheduled', endsAt: { $lte: cutoff } },
+      { $set: { status: 'Completed', completedAt: now, completedBy: 'system' } }
+    );
+    result.completed = update.modifiedCount;
+  }
+
+  if (settings.reminderHours > 0) {
+    const due = await interviewsCollection.find({
+      status: 'Scheduled',
+      ...VISIBLE_INTERVIEW,
+      reminderSentAt: { $exists: false },
+      startsAt: { $gt: now, $lte: new Date(now.getTime() + settings.reminderHours * 3600000) }
+    }).toArray();
+    for (const interview of due) {
+      // Claim first so overlapping runs don't send the same reminder twice
+      const claim = await interviewsCollection.updateOne(
+        { _id: interview._id, reminderSentAt: { $exists: false } },
+        { $set: { reminderSentAt: now } }
+      );
+      if (claim.modifiedCount === 0) continue;
+      await notifyInterview(interview, 'interviewReminder');
+      result.reminders++;
+    }
+  }
+
+  result.imports = await runQueuedImportJobs(now);
+  result.emails = await processEmailOutbox();
+  result.importPreviews = await cleanupExpiredImportPreviews(now);
+  return result;
+};
+
+app.get('/api/maintenance/settings', verifyToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    res.json(await getMaintenanceSettings());
+  } catch (error) {
+    console.error('Fetch Maintenance Settings Error:', error);
+    res.status(500).send('Error fetching maintenance settings');
+  }
+});
+
+// Body: { autoCompleteEnabled?, graceMinutes?, reminderHours? }
+app.put('/api/maintenance/settings', verifyToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { autoCompleteEnabled, graceMinutes, reminderHours } = req.body || {};
+    const update = {};
+    if (autoCompleteEnabled !== undefined) {
+      if (typeof autoCompleteEnabled !== 'boolean') return res.status(400).send('autoCompleteEnabled must be true or false');
+      update.autoCompleteEnabled = autoCompleteEnabled;
+    }
+    if (graceMinutes !== undefined) {
+      if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 7 * 24 * 60) {
+        return res.status(400).send('graceMinutes must be a whole number between 0 and 10080');
+      }
+      update.graceMinutes = graceMinutes;
+    }
+    if (reminderHours !== undefined) {
+      if (!Number.isInteger(reminderHours) || reminderHours < 0 || reminderHours > 7 * 24) {
+        return res.status(400).send('reminderHours must be a whole number between 0 and 168');
+      }
+      update.reminderHours = reminderHours;
+    }
+    if (Object.keys(update).length === 0) return res.status(400).send('No settings to update');
+
+    const previous = await getMaintenanceSettings();
+    await db.collection('settings').updateOne(
+      { _id: 'interviewMaintenance' },
+      { $set: { ...update, updatedBy: req.user.uid, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    const settings = await getMaintenanceSettings();
+    await recordAudit(req, { action: 'maintenance.settings_update', targetType: 'settings', targetId: 'interviewMaintenance', before: previous, after: settings });
+    res.json(settings);
+  } catch (error) {
+    console.error('Update Maintenance Settings Error:', error);
+    res.status(500).send('Error updating maintenance settings');
+  }
+});
+
+app.post('/api/maintenance/migrate-interviews', verifyToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const result = await migrateInterviewTimestamps();
+    await recordAudit(req, { action: 'maintenance.migrate_interviews', targetType: 'interview', details: { migrated: result.migrated, failed: result.failed.length } });
+    res.json(result);
+  } catch (error) {
+    console.error('Interview Migration Error:', error);
+    res.status(500).send('Error migrating interviews');
+  }
+});
+
+// Case variants of the same email show up in GET /api/candidates/duplicates afterwards
+app.post('/api/maintenance/migrate-emails', verifyToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const result = await migrateCandidateEmails();
+    await recordAudit(req, { action: 'maintenance.migrate_emails', targetType: 'candidate', details: result });
+    res.json(result);
+  } catch (error) {
+    console.error('Email Migration Error:', error);
+    res.status(500).send('Error migrating candidate emails');
+  }
+});
+
+// Manual trigger for admins
+app.post('/api/maintenance/run', verifyToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const result = await runInterviewMaintenance();
+    await recordAudit(req, { action: 'maintenance.run', targetType: 'interview', details: result });
+    res.json(result);
+  } catch (error) {
+    console.error('Maintenance Error:', error);
+    res.status(500).send('Error running maintenance');
+  }
+});
+
+// Vercel Cron entry point (see vercel.json). Vercel sends "Authorization: Bearer <CRON_SECRET>".
+// vercel.json runs it once a day because the Hobby plan rejects anything more frequent. Reminders,
+// auto-complete, imports nobody is polling and email retries need it every MAINTENANCE_INTERVAL_MINUTES, so either
+// move to Pro and set the schedule to "*/15 * * * *", or have an external scheduler call this route
+// with the same Bearer header.
+app.get('/api/maintenance/cron', async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).send('Unauthorized');
+  }
+  try {
+    const result = await runInterviewMaintenance();
+    await recordAudit(req, { action: 'maintenance.run', targetType: 'interview', actorUid: 'cron', details: result });
+    res.json(result);
+  } catch (error) {
+    console.error('Maintenance Error:', error);
+    res.status(500).send('Error running maintenance');
+  }
+});
+
+// --- Interview Calendar (iCalendar) ---
+
+const ICS_PRODID = '-//Job Candidate Server//Interviews//EN';
+
+const escapeIcsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/([,;])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 lines are folded at 75 octets, continuation lines start with a space
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatIcsPerson = (prefix, person) =>
+  `${prefix}${person.name ? `;CN=${escapeIcsText(person.name).replace(/"/g, "'")}` : ''}:mailto:${person.email}`;
+
+// Organizer (whoever scheduled it) and attendees (interviewers and the candidate), needed for REQUEST/CANCEL
+const loadInterviewPeople = async (interview, candidate) => {
+  const uids = [interview.scheduledBy, ...(interview.interviewers || [])].filter(Boolean);
+  const users = await db.collection('users')
+    .find({ uid: { $in: uids } }, { projection: { uid: 1, name: 1, email: 1 } })
+    .toArray();
+  const byUid = new Map(users.filter(u => u.email).map(u => [u.uid, u]));
+
+  return {
+    organizer: byUid.get(interview.scheduledBy) || null,
+    attendees: [
+      ...(interview.interviewers || []).map(uid => byUid.get(uid)).filter(Boolean),
+      ...(candidate?.email ? [{ name: candidate.name, email: candidate.email }] : [])
+    ]
+  };
+};
 
-      const fileName = `photo-${Date.now()}-${row}.${extension}`;
-      const imgPath = path.join(imagesDir, fileName);
+// One VEVENT per interview. UID stays the same across changes and SEQUENCE grows with every
+// reschedule/cancel, so calendar apps update or remove the event they already have.
+const buildInterviewEvent = (interview, candidate, people = {}) => {
+  const slot = interview.startsAt
+    ? { startsAt: interview.startsAt, endsAt: interview.endsAt }
+    : buildInterviewSlot(interview.date, interview.time, interview.duration || DEFAULT_INTERVIEW_DURATION, interview.timezone);
+  if (!slot) return null;
+
+  const candidateName = candidate?.name || 'Unknown candidate';
+  const type = interview.type || 'General';
+  const description = [
+    `Candidate: ${candidateName}`,
+    `Type: ${type}`,
+    interview.meetingLink ? `Meeting link: ${interview.meetingLink}` : null,
+    interview.status === 'Cancelled' && interview.cancelReason ? `Cancelled: ${interview.cancelReason}` : null
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:interview-${interview._id}@job-candidate-server`,
+    `SEQUENCE:${interview.sequence || 0}`,
+    `DTSTAMP:${formatIcsDate(interview.cancelledAt || interview.updatedAt || interview.createdAt || new Date())}`,
+    `DTSTART:${formatIcsDate(slot.startsAt)}`,
+    `DTEND:${formatIcsDate(slot.endsAt)}`,
+    `SUMMARY:${escapeIcsText(`${type} interview: ${candidateName}`)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    ...(interview.location || interview.meetingLink ? [`LOCATION:${escapeIcsText(interview.location || interview.meetingLink)}`] : []),
+    ...(interview.meetingLink ? [`URL:${interview.meetingLink}`] : []),
+    ...(people.organizer ? [formatIcsPerson('ORGANIZER', people.organizer)] : []),
+    ...(people.attendees || []).map(person => formatIcsPerson('ATTENDEE;ROLE=REQ-PARTICIPANT', person)),
+    `STATUS:${interview.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
 
-     
-      const existingPath = imageMap[row];
-      if (existingPath) {
-        const existingSize = fs.statSync(path.join(process.cwd(), existingPath)).size;
-        if (buffer.length <= existingSize) return; // 
-        try { fs.unlinkSync(path.join(process.cwd(), existingPath)); } catch (e) { }
-      }
+// method is set for one-off downloads (REQUEST/CANCEL) and left out for subscribed feeds
+const buildCalendar = (events, { method, name } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${ICS_PRODID}`,
+  'CALSCALE:GREGORIAN',
+  ...(method ? [`METHOD:${method}`] : []),
+  ...(name ? [`X-WR-CALNAME:${escapeIcsText(name)}`] : []),
+  ...events.flat(),
+  'END:VCALENDAR'
+].map(foldIcsLine).join('\r\n') + '\r\n';
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+app.get('/api/interviews/:id/ics', verifyToken, requirePermission('interviews.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid interview id');
 
-      fs.writeFileSync(imgPath, buffer);
-      imageMap[row] = `/uploads/candidates/${fileName}`;
-    });
-    
-    const rows = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+    const interview = await db.collection('interviews').findOne({ _id: new ObjectId(id), ...VISIBLE_INTERVIEW });
+    if (!interview) return res.status(404).send('Interview not found');
+    const candidate = await db.collection('candidates').findOne({ _id: interview.candidateId }, { projection: { name: 1, email: 1 } });
 
-    let headerRowIndex = -1;
-    let headers = [];
+    const event = buildInterviewEvent(interview, candidate, await loadInterviewPeople(interview, candidate));
+    if (!event) return res.status(409).send('Interview has no valid date and time');
 
-    
-    const keywords = ['name', 'email', 'phone', 'contact', 'mobile', 'experience', 'age'];
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="interview-${interview._id}.ics"`);
+    res.send(buildCalendar([event], { method: interview.status === 'Cancelled' ? 'CANCEL' : 'REQUEST' }));
+  } catch (error) {
+    console.error('ICS Export Error:', error);
+    res.status(500).send('Error generating calendar file');
+  }
+});
 
-    for (let i = 0; i < Math.min(rows.length, 20); i++) {
-      const row = rows[i];
-      if (!row || !Array.isArray(row)) continue;
+// Creates (or replaces) the caller's feed token. Only a hash is stored, so the URL is shown once.
+app.post('/api/calendar/feed-token', verifyToken, requirePermission('interviews.read'), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await db.collection('users').updateOne(
+      { uid: req.user.uid },
+      { $set: { calendarFeedTokenHash: hashFeedToken(token), calendarFeedTokenCreatedAt: new Date() } }
+    );
+    await recordAudit(req, { action: 'calendar.feed_token_create', targetType: 'user', targetId: req.user.uid });
+
+    const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    res.status(201).json({ url: `${baseUrl}/api/calendar/feed/${token}.ics` });
+  } catch (error) {
+    console.error('Feed Token Error:', error);
+    res.status(500).send('Error creating calendar feed');
+  }
+});
 
-      const normalizedRow = row.map(cell => String(cell || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
-      const matchCount = normalizedRow.filter(cell => keywords.some(k => cell.includes(k))).length;
+app.delete('/api/calendar/feed-token', verifyToken, requirePermission('interviews.read'), async (req, res) => {
+  try {
+    await db.collection('users').updateOne(
+      { uid: req.user.uid },
+      { $unset: { calendarFeedTokenHash: '', calendarFeedTokenCreatedAt: '' } }
+    );
+    await recordAudit(req, { action: 'calendar.feed_token_revoke', targetType: 'user', targetId: req.user.uid });
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Feed Token Error:', error);
+    res.status(500).send('Error revoking calendar feed');
+  }
+});
 
-      
-      if (matchCount >= 2) {
-        headerRowIndex = i;
-        headers = normalizedRow;
-        break;
-      }
-    }
+// Subscribable feed: interviews the token owner scheduled or conducts. The token in the URL is the credential.
+app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!/^[a-f0-9]{48}$/.test(token)) return res.status(404).send('Calendar feed not found');
 
-    if (headerRowIndex === -1) {
-      console.error('Debug: Could not find header row in Excel');
-      fs.unlinkSync(filePath);
-      return res.status(400).send('Could not find candidate data headers (Name, Email, etc.) in the Excel file.');
+    const user = await db.collection('users').findOne({ calendarFeedTokenHash: hashFeedToken(token) });
+    if (!user || user.deactivatedAt || !(await getEffectivePermissions(user)).includes('interviews.read')) {
+      return res.status(404).send('Calendar feed not found');
     }
 
-    const dataRows = rows.slice(headerRowIndex + 1);
-    const candidatesCollection = db.collection('candidates');
-    const processed = [];
-    const errors = [];
+    const interviews = await db.collection('interviews').aggregate([
+      { $match: { $or: [{ scheduledBy: user.uid }, { interviewers: user.uid }], ...VISIBLE_INTERVIEW } },
+      { $lookup: { from: 'candidates', localField: 'candidateId', foreignField: '_id', as: 'candidate' } },
+      { $sort: { startsAt: 1 } }
+    ]).toArray();
 
-    for (const rowData of dataRows) {
-      if (!rowData || rowData.length === 0) continue;
+    const events = interviews
+      .map(interview => buildInterviewEvent(interview, interview.candidate[0]))
+      .filter(Boolean);
 
-      
-      const item = {};
-      rowData.forEach((val, idx) => {
-        if (headers[idx]) {
-          const h = headers[idx];
-          item[h] = val;
-        }
-      });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(events, { name: `Interviews - ${user.name || user.email}` }));
+  } catch (error) {
+    console.error('Calendar Feed Error:', error);
+    res.status(500).send('Error generating calendar feed');
+  }
+});
 
-      
-      let name = item.name || item.candidate || item.fullname || item.applicantname || item.candidatesname;
-      let email = item.email || item.emailaddress || item.eaddress;
-      let phone = item.phone || item.phonenumber || item.contact || item.mobile || item.cell;
-      let exp = item.experienceyears || item.yearsofexperience || item.experience || item.totalexperience || item.yearsexperience;
-      let age = item.age || item.candidateage || item.ageyrs;
 
-      
-      const compositeString = rowData.map(c => String(c || '').trim()).join(' ');
+// --- Candidate Self-Service ---
 
-      if ((!email || !phone) && compositeString.includes(':')) {
-        const emailMatch = compositeString.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
-        if (emailMatch && !email) email = emailMatch[0];
+// Candidates find their own record through the email on their users document
+const CANDIDATE_SELF_EDITABLE_FIELDS = ['name', 'phone', 'experience_years', 'previous_experience', 'age'];
+const CANDIDATE_SELF_INTERVIEW_FIELDS = {
+  date: 1, time: 1, timezone: 1, duration: 1, startsAt: 1, endsAt: 1,
+  type: 1, status: 1, location: 1, meetingLink: 1, candidateResponse: 1
+};
+const CANDIDATE_SELF_VISIBLE_FIELDS = [
+  '_id', 'name', 'email', 'phone', 'experience_years', 'previous_experience', 'age', 'photo',
+  'status', 'statusUpdatedAt', 'createdAt', 'updatedAt'
+];
+
+// The candidate's own record without staff notes, tags, assignment or who changed what
+const toCandidateSelfView = (candidate) => {
+  const view = {};
+  CANDIDATE_SELF_VISIBLE_FIELDS.forEach((field) => {
+    if (candidate[field] !== undefined) view[field] = candidate[field];
+  });
+  if (candidate.statusHistory) view.statusHistory = candidate.statusHistory.map(({ from, to, changedAt }) => ({ from, to, changedAt }));
+  if (candidate.cv) {
+    const { fileName, mimeType, size, uploadedAt } = candidate.cv;
+    view.cv = { fileName, mimeType, size, uploadedAt };
+  }
+  return view;
+};
 
-        const phoneMatch = compositeString.match(/\+?[0-9][0-9\-\s]{8,15}/);
-        if (phoneMatch && !phone) phone = phoneMatch[0].trim();
+const CV_MAX_BYTES = 5 * 1024 * 1024;
 
-        const nameMatch = compositeString.match(/Name:\s*(.*?)\s*(?:Age|Location|University|Degree|$)/i);
-        if (nameMatch && (!name || String(name).length > 50)) name = nameMatch[1].trim();
+// CVs are personal data, so they live in GridFS rather than the statically served uploads folder
+const CV_BUCKET = 'cvs';
 
-        const ageMatch = compositeString.match(/Age:\s*([\d.]+)/i);
-        if (ageMatch && !age) age = ageMatch[1];
-      }
-     
-      if (!name || (!email && !phone)) {
-        const rowStr = JSON.stringify(item).toLowerCase();
-        if (rowStr.includes('bdjobs') || rowStr.includes('powered')) continue;
-        if (processed.length > 0 && !name && !email) continue;
+// Accepted CV formats by MIME type, with the extension we store and the file's leading magic bytes
+const CV_FORMATS = {
+  'application/pdf': { extension: '.pdf', signature: '%PDF' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extension: '.docx', signature: 'PK\u0003\u0004' }
+};
 
-        errors.push(`Skipped: Missing Name/Email. Found: ${name || 'N/A'}, ${email || 'N/A'}`);
-        continue;
-      }
+// Held in memory (at most CV_MAX_BYTES) until it has been checked and stored
+const cvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CV_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, Boolean(CV_FORMATS[file.mimetype]))
+});
 
-      // Check Duplicate Email
-      const existing = email ? await candidatesCollection.findOne({ email }) : null;
-      if (existing) {
-        
-        const photo = imageMap[headerRowIndex + 1 + dataRows.indexOf(rowData)];
-        if (photo && !existing.photo) {
-          await candidatesCollection.updateOne({ email }, { $set: { photo } });
-          processed.push({ ...existing, photo, updated: true }); 
-          continue;
-        }
-        errors.push(`Skipped: Email ${email} already exists`);
-        continue;
-      }
+const hasCvSignature = (buffer, mimeType) => {
+  const { signature } = CV_FORMATS[mimeType];
+  return buffer.subarray(0, signature.length).toString('latin1') === signature;
+};
 
-      const candidate = {
-        name,
-        email,
-        phone: String(phone),
-        experience_years: Number(exp) || 0,
-        previous_experience: item.previous_experience || [],
-        age: Number(age) || 0,
-        photo: imageMap[headerRowIndex + 1 + dataRows.indexOf(rowData)] || "", row
-        status: 'pending',
-        createdBy: req.user.uid,
-        createdAt: new Date()
-      };
+// Deletes the stored CV unless another candidate still points at it (merges copy fields)
+const removeCandidateCv = async (cv) => {
+  if (!cv?.fileId) return false;
+  const stillUsed = await db.collection('candidates').countDocuments({ 'cv.fileId': cv.fileId }, { limit: 1 });
+  if (stillUsed > 0) return false;
+  try {
+    return await deleteStoredFile(CV_BUCKET, cv.fileId);
+  } catch (error) {
+    console.warn(`WARNING: Could not remove CV ${cv.fileId}: ${error.message}`);
+    return false;
+  }
+};
 
-      processed.push(candidate);
-    }
+const sendCandidateCv = async (res, candidate) => {
+  const { cv } = candidate;
+  const stored = cv?.fileId && await db.collection(`${CV_BUCKET}.files`).findOne({ _id: cv.fileId }, { projection: { _id: 1 } });
+  if (!stored) return res.status(404).send('CV not found');
+  res.attachment(cv.fileName || `cv${CV_FORMATS[cv.mimeType]?.extension || ''}`);
+  res.type(cv.mimeType);
+  getBucket(CV_BUCKET).openDownloadStream(cv.fileId)
+    .once('error', (error) => {
+      console.error('CV Download Error:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+};
+
+// Sends 400/404 and returns null when the caller has no candidate record
+const loadOwnCandidate = async (req, res, projection) => {
+  const email = normalizeEmail(req.dbUser.email || req.user.email);
+  if (!email) {
+    res.status(400).send('User email not found');
+    return null;
+  }
+  const candidate = await db.collection('candidates').findOne({ email, ...NOT_DELETED }, projection ? { projection } : undefined);
+  if (!candidate) res.status(404).json({ message: 'Profile not found' });
+  return candidate;
+};
 
-    if (processed.length > 0) {
-      await candidatesCollection.insertMany(processed);
+// Body: any of CANDIDATE_SELF_EDITABLE_FIELDS. Other fields are rejected rather than silently dropped.
+app.patch('/api/candidates/me', verifyToken, requirePermission('profile.self'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const forbidden = Object.keys(body).filter(field => !CANDIDATE_SELF_EDITABLE_FIELDS.includes(field));
+    if (forbidden.length > 0) {
+      return sendValidationError(res, forbidden.map(field => ({ field, message: 'Cannot be changed from your profile' })));
     }
 
-    fs.unlinkSync(filePath);
+    const { value, errors } = validateCandidate(body, { partial: true });
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (Object.keys(value).length === 0) return res.status(400).send('No fields to update');
 
-    res.json({
-      message: processed.length > 0 ? 'File processed successfully' : 'No valid candidates found in the file',
-      added: processed.length,
-      errors: errors
-    });
+    const candidate = await loadOwnCandidate(req, res);
+    if (!candidate) return;
 
+    const changes = { ...value, updatedBy: req.user.uid, updatedAt: new Date() };
+    const updated = await db.collection('candidates').findOneAndUpdate(
+      { _id: candidate._id },
+      { $set: changes },
+      { returnDocument: 'after' }
+    );
+    // The users document carries the same profile fields from registration
+    await db.collection('users').updateOne({ uid: req.user.uid }, { $set: { ...value, updatedAt: changes.updatedAt } });
+    await recordAudit(req, { action: 'candidate.self_update', targetType: 'candidate', targetId: candidate._id, before: candidate, after: updated });
+
+    res.json(toCandidateSelfView(updated));
   } catch (error) {
-    console.error('Upload Error:', error);
-    res.status(500).send('Error processing file');
+    console.error('Self Profile Update Error:', error);
+    res.status(500).send('Error updating profile');
   }
 });
 
-
-app.get('/api/candidates', verifyToken, verifyRole(['admin', 'staff']), async (req, res) => {
+// Multipart form with a `cv` file (PDF or DOCX, up to 5 MB). Replaces any previous CV.
+app.put('/api/candidates/me/cv', verifyToken, requirePermission('profile.self'), handleUpload(cvUpload.single('cv'), {
+  tooLarge: 'CV must be 5 MB or smaller',
+  unexpectedFile: 'Upload a single PDF or DOCX file in the `cv` field'
+}), async (req, res) => {
+  let fileId;
   try {
-    const { status } = req.query;
-    const query = {};
-    if (status) query.status = status;
+    if (!req.file) return res.status(400).send('Upload a PDF or DOCX file in the `cv` field');
+    if (!hasCvSignature(req.file.buffer, req.file.mimetype)) {
+      return res.status(400).send('File content does not match a PDF or DOCX document');
+    }
 
-    const candidatesCollection = db.collection('candidates');
-    
-    const candidates = await candidatesCollection.find(query).sort({ createdAt: -1 }).toArray();
-    res.json(candidates);
+    const candidate = await loadOwnCandidate(req, res);
+    if (!candidate) return;
+
+    // The original name is kept on the record only
+    const fileName = req.file.originalname.slice(0, 255);
+    fileId = await storeFile(CV_BUCKET, req.file.buffer, fileName, { candidateId: candidate._id, uploadedBy: req.user.uid });
+    const cv = {
+      fileId,
+      fileName,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedAt: new Date()
+    };
+    await db.collection('candidates').updateOne(
+      { _id: candidate._id },
+      { $set: { cv, updatedBy: req.user.uid, updatedAt: cv.uploadedAt } }
+    );
+    fileId = null;
+    if (candidate.cv) await removeCandidateCv(candidate.cv);
+    await recordAudit(req, {
+      action: 'candidate.cv_upload',
+      targetType: 'candidate',
+      targetId: candidate._id,
+      before: { cv: candidate.cv || null },
+      after: { cv }
+    });
+
+    res.json({ message: 'CV uploaded', cv });
   } catch (error) {
-    console.error('Fetch Error:', error);
-    res.status(500).send('Error fetching candidates');
+    console.error('CV Upload Error:', error);
+    if (fileId) await deleteStoredFile(CV_BUCKET, fileId).catch(e => console.error('CV Cleanup Error:', e));
+    res.status(500).send('Error uploading CV');
   }
 });
 
+app.get('/api/candidates/me/cv', verifyToken, requirePermission('profile.self'), async (req, res) => {
+  try {
+    const candidate = await loadOwnCandidate(req, res, { cv: 1 });
+    if (!candidate) return;
+    await sendCandidateCv(res, candidate);
+  } catch (error) {
+    console.error('CV Download Error:', error);
+    res.status(500).send('Error downloading CV');
+  }
+});
 
-app.get('/api/candidates/me', verifyToken, verifyRole(['candidate']), async (req, res) => {
-  
+app.get('/api/candidates/:id/cv', verifyToken, requirePermission('candidates.read'), async (req, res) => {
+  try {
+    const candidate = await loadCandidate(req.params.id, res, { cv: 1 });
+    if (!candidate) return;
+    await sendCandidateCv(res, candidate);
+  } catch (error) {
+    console.error('CV Download Error:', error);
+    res.status(500).send('Error downloading CV');
+  }
+});
 
+// The candidate's own interviews without feedback, notes or staff-only fields
+app.get('/api/candidates/me/interviews', verifyToken, requirePermission('profile.self'), async (req, res) => {
   try {
-    const email = req.user.email;
-    
+    const candidate = await loadOwnCandidate(req, res, { _id: 1 });
+    if (!candidate) return;
 
-    if (!email) return res.status(400).send('User email not found in token');
+    const interviews = await db.collection('interviews')
+      .find({ candidateId: candidate._id, ...VISIBLE_INTERVIEW }, { projection: CANDIDATE_SELF_INTERVIEW_FIELDS })
+      .sort({ startsAt: 1 })
+      .toArray();
+    res.json(interviews);
+  } catch (error) {
+    console.error('Fetch Own Interviews Error:', error);
+    res.status(500).send('Error fetching interviews');
+  }
+});
 
-    const candidatesCollection = db.collection('candidates');
-    const candidate = await candidatesCollection.findOne({ email: email });
+// Only scheduled interviews that haven't started can be answered. Sends 400/404/409 and returns null otherwise.
+const loadOwnUpcomingInterview = async (req, res) => {
+  const candidate = await loadOwnCandidate(req, res, { _id: 1, name: 1, email: 1 });
+  if (!candidate) return null;
 
-    
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).send('Invalid interview id');
+    return null;
+  }
+  const interview = await db.collection('interviews').findOne({ _id: new ObjectId(id), candidateId: candidate._id, ...VISIBLE_INTERVIEW });
+  if (!interview) {
+    res.status(404).send('Interview not found');
+    return null;
+  }
+  if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status) || (interview.startsAt && new Date(interview.startsAt) <= new Date())) {
+    res.status(409).send('This interview can no longer be changed');
+    return null;
+  }
+  return { candidate, interview };
+};
 
-    if (!candidate) return res.status(404).json({ message: 'Profile not found' });
-    res.json(candidate);
+// Stores the answer on the interview. The status filter guards against a concurrent cancel.
+const saveCandidateResponse = (interview, response) => db.collection('interviews').findOneAndUpdate(
+  { _id: interview._id, status: interview.status },
+  { $set: { candidateResponse: response } },
+  { returnDocument: 'after', projection: CANDIDATE_SELF_INTERVIEW_FIELDS }
+);
 
+app.post('/api/candidates/me/interviews/:id/confirm', verifyToken, requirePermission('profile.self'), async (req, res) => {
+  try {
+    const loaded = await loadOwnUpcomingInterview(req, res);
+    if (!loaded) return;
+    const { interview } = loaded;
+
+    const response = { status: 'confirmed', respondedAt: new Date() };
+    const updated = await saveCandidateResponse(interview, response);
+    if (!updated) return res.status(409).send('Interview was changed, please reload');
+
+    await recordAudit(req, {
+      action: 'interview.candidate_confirm',
+      targetType: 'interview',
+      targetId: interview._id,
+      before: { candidateResponse: interview.candidateResponse || null },
+      after: { candidateResponse: response }
+    });
+    res.json(updated);
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).send('Error fetching profile');
+    console.error('Confirm Interview Error:', error);
+    res.status(500).send('Error confirming interview');
   }
 });
 
-
-app.put('/api/candidates/:id', verifyToken, verifyRole(['admin']), async (req, res) => {
+// Body: { reason, preferredTimes? }. Staff are emailed and see it on the interview until they reschedule.
+app.post('/api/candidates/me/interviews/:id/reschedule-request', verifyToken, requirePermission('profile.self'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-    const { ObjectId } = require('mongodb');
+    const { reason, preferredTimes } = req.body || {};
+    const errors = [];
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 1000) {
+      errors.push({ field: 'reason', message: 'Required, at most 1000 characters' });
+    }
+    if (preferredTimes !== undefined && (!Array.isArray(preferredTimes) || preferredTimes.length > 5 ||
+      preferredTimes.some(time => typeof time !== 'string' || !time.trim() || time.length > 200))) {
+      errors.push({ field: 'preferredTimes', message: 'Must be a list of up to 5 short descriptions' });
+    }
+    if (errors.length > 0) return sendValidationError(res, errors);
 
-    
-    delete updates._id;
-    delete updates.email; 
+    const loaded = await loadOwnUpcomingInterview(req, res);
+    if (!loaded) return;
+    const { candidate, interview } = loaded;
 
-    const candidatesCollection = db.collection('candidates');
-    const result = await candidatesCollection.findOneAndUpdate(
-      { _id: new ObjectId(id) },
-      { $set: updates },
-      { returnDocument: 'after' }
-    );
+    const response = {
+      status: 'reschedule_requested',
+      reason: reason.trim(),
+      preferredTimes: (preferredTimes || []).map(time => time.trim()),
+      respondedAt: new Date()
+    };
+    const updated = await saveCandidateResponse(interview, response);
+    if (!updated) return res.status(409).send('Interview was changed, please reload');
+
+    await recordAudit(req, {
+      action: 'interview.reschedule_request',
+      targetType: 'interview',
+      targetId: interview._id,
+      before: { candidateResponse: interview.candidateResponse || null },
+      after: { candidateResponse: response }
+    });
+    const people = await loadInterviewPeople(interview, null);
+    await queueEmail({
+      to: [people.organizer, ...people.attendees].filter(Boolean).map(person => person.email),
+      template: 'interviewRescheduleRequested',
+      category: 'interviews',
+      data: { interview, candidate, response }
+    });
 
-    if (!result) return res.status(404).send('Candidate not found');
-    res.json(result);
+    res.json(updated);
+  } catch (error) {
+    console.error('Reschedule Request Error:', error);
+    res.status(500).send('Error requesting reschedule');
+  }
+});
 
+// Staff view of open candidate reschedule requests, oldest first
+app.get('/api/interviews/reschedule-requests', verifyToken, requirePermission('interviews.read'), async (req, res) => {
+  try {
+    const interviews = await db.collection('interviews').aggregate([
+      {
+        $match: {
+          'candidateResponse.status': 'reschedule_requested',
+          status: { $in: ACTIVE_INTERVIEW_STATUSES },
+          ...VISIBLE_INTERVIEW
+        }
+      },
+      {
+        $lookup: {
+          from: 'candidates',
+          localField: 'candidateId',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, email: 1, phone: 1 } }],
+          as: 'candidate'
+        }
+      },
+      { $unwind: '$candidate' },
+      { $sort: { 'candidateResponse.respondedAt': 1 } }
+    ]).toArray();
+    res.json(interviews);
   } catch (error) {
-    console.error('Update Error:', error);
-    res.status(500).send('Error updating candidate');
+    console.error('Fetch Reschedule Requests Error:', error);
+    res.status(500).send('Error fetching reschedule requests');
   }
 });
 
 
-app.delete('/api/candidates/:id', verifyToken, verifyRole(['admin']), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { ObjectId } = require('mongodb');
+// --- Email Notifications ---
+
+// Point SMTP_HOST/SMTP_PORT at a local catcher (e.g. Mailpit on localhost:1025) during development.
+// Without SMTP_HOST messages still go into the outbox, they are just not delivered.
+const MAIL_FROM = process.env.MAIL_FROM || 'Job Candidate Server <no-reply@localhost>';
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_RETRY_MINUTES = [1, 5, 15, 60]; // wait before attempts 2..5
+const EMAIL_STALE_LOCK_MINUTES = 10;
+const NOTIFICATION_CATEGORIES = ['interviews', 'reminders', 'statusChanges'];
+
+let mailTransport;
+const getMailTransport = () => {
+  if (!process.env.SMTP_HOST) return null;
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+};
 
-    const candidatesCollection = db.collection('candidates');
-    const result = await candidatesCollection.deleteOne({ _id: new ObjectId(id) });
+// "Tuesday, 20 October 2026 at 10:00 (Asia/Dhaka)"
+const formatInterviewTime = (startsAt, timeZone = DEFAULT_TIMEZONE) => {
+  if (!startsAt) return 'an unconfirmed time';
+  const formatted = new Intl.DateTimeFormat('en-GB', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(new Date(startsAt));
+  return `${formatted} (${timeZone})`;
+};
+
+const formatStatusLabel = (status) => String(status || '').replace(/^\w/, c => c.toUpperCase());
+
+const describeInterview = (interview, candidate) => [
+  `Candidate: ${candidate?.name || 'Unknown candidate'}`,
+  `When: ${formatInterviewTime(interview.startsAt, interview.timezone)}`,
+  `Duration: ${interview.duration || DEFAULT_INTERVIEW_DURATION} minutes`,
+  `Type: ${interview.type || 'General'}`,
+  interview.location ? `Location: ${interview.location}` : null,
+  interview.meetingLink ? `Meeting link: ${interview.meetingLink}` : null
+].filter(Boolean).join('\n');
+
+// Each template returns { subject, text } from the data passed to queueEmail
+const EMAIL_TEMPLATES = {
+  interviewInvitation: ({ interview, candidate }) => ({
+    subject: `Interview scheduled: ${candidate?.name || 'candidate'}`,
+    text: `An interview has been scheduled.\n\n${describeInterview(interview, candidate)}\n\nThe calendar invitation is attached.`
+  }),
+  interviewRescheduled: ({ interview, candidate, previous }) => ({
+    subject: `Interview rescheduled: ${candidate?.name || 'candidate'}`,
+    text: [
+      'An interview has been moved to a new time.',
+      '',
+      describeInterview(interview, candidate),
+      previous ? `Previously: ${formatInterviewTime(previous.startsAt, previous.timezone || interview.timezone)}` : null,
+      previous?.reason ? `Reason: ${previous.reason}` : null,
+      '',
+      'The updated calendar invitation is attached.'
+    ].filter(line => line !== null).join('\n')
+  }),
+  interviewCancelled: ({ interview, candidate }) => ({
+    subject: `Interview cancelled: ${candidate?.name || 'candidate'}`,
+    text: `The following interview has been cancelled.\n\n${describeInterview(interview, candidate)}\nReason: ${interview.cancelReason || 'Not given'}`
+  }),
+  interviewReminder: ({ interview, candidate }) => ({
+    subject: `Reminder: interview on ${formatInterviewTime(interview.startsAt, interview.timezone)}`,
+    text: `This is a reminder about an upcoming interview.\n\n${describeInterview(interview, candidate)}`
+  }),
+  interviewRescheduleRequested: ({ interview, candidate, response }) => ({
+    subject: `Reschedule requested: ${candidate?.name || 'candidate'}`,
+    text: [
+      `${candidate?.name || 'The candidate'} has asked to move this interview.`,
+      '',
+      describeInterview(interview, candidate),
+      `Reason: ${response.reason}`,
+      response.preferredTimes?.length ? `Preferred times: ${response.preferredTimes.join('; ')}` : null,
+      '',
+      'Use the reschedule action to pick a new time.'
+    ].filter(line => line !== null).join('\n')
+  }),
+  userInvite: ({ user, link }) => ({
+    subject: 'Your Job Candidate Server account',
+    text: `Hello${user.name ? ` ${user.name}` : ''},\n\nAn account with the ${user.role} role has been created for ${user.email}.\nChoose your password with the link below, then sign in with this email address:\n\n${link}`
+  }),
+  candidateStatusChanged: ({ candidate, from, to }) => ({
+    subject: `Your application status: ${formatStatusLabel(to)}`,
+    text: `Hello${candidate.name ? ` ${candidate.name}` : ''},\n\nThe status of your application has changed from ${formatStatusLabel(from) || 'New'} to ${formatStatusLabel(to)}.`
+  })
+};
 
-    if (result.deletedCount === 0) return res.status(404).send('Candidate not found');
-    res.json({ message: 'Candidate deleted' });
+const getNotificationPreferences = (user) => ({
+  email: true,
+  ...Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, true])),
+  ...(user?.notificationPreferences || {})
+});
 
+// Renders a template and stores one outbox message per recipient. Recipients who opted out are
+// recorded as skipped. Never throws: a mail problem must not fail the request that triggered it.
+const queueEmail = async ({ to, template, category, data = {}, attachments = [] }) => {
+  try {
+    const recipients = [...new Set([].concat(to).map(normalizeEmail).filter(Boolean))];
+    if (recipients.length === 0) return;
+
+    const users = await db.collection('users')
+      .find({ email: { $in: recipients } }, { projection: { email: 1, notificationPreferences: 1 } })
+      .toArray();
+    const optedOut = new Set(users
+      .filter(user => {
+        const prefs = getNotificationPreferences(user);
+        return !prefs.email || prefs[category] === false;
+      })
+      .map(user => normalizeEmail(user.email)));
+
+    const { subject, text } = EMAIL_TEMPLATES[template](data);
+    const now = new Date();
+    await db.collection('emailOutbox').insertMany(recipients.map(email => ({
+      to: email,
+      template,
+      category,
+      subject,
+      text,
+      attachments,
+      status: optedOut.has(email) ? 'skipped' : 'pending',
+      ...(optedOut.has(email) ? { lastError: 'Recipient opted out' } : {}),
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now
+    })));
+
+    await flushEmailOutbox();
   } catch (error) {
-    console.error('Delete Error:', error);
-    res.status(500).send('Error deleting candidate');
+    console.error('Queue Email Error:', error);
   }
-});
+};
+
+// Sends the candidate and interviewers an email about the interview with the .ics attached
+const notifyInterview = async (interview, template, data = {}) => {
+  try {
+    const candidate = await db.collection('candidates').findOne({ _id: interview.candidateId }, { projection: { name: 1, email: 1 } });
+    const people = await loadInterviewPeople(interview, candidate);
+    const event = buildInterviewEvent(interview, candidate, people);
+    const method = interview.status === 'Cancelled' ? 'CANCEL' : 'REQUEST';
+
+    await queueEmail({
+      to: people.attendees.map(person => person.email),
+      template,
+      category: template === 'interviewReminder' ? 'reminders' : 'interviews',
+      data: { interview, candidate, ...data },
+      attachments: event ? [{
+        filename: 'interview.ics',
+        content: buildCalendar([event], { method }),
+        contentType: `text/calendar; method=${method}; charset=utf-8`
+      }] : []
+    });
+  } catch (error) {
+    console.error('Interview Notification Error:', error);
+  }
+};
+
+const notifyStatusChange = (candidate, from, to) => {
+  if (!candidate.email) return Promise.resolve();
+  return queueEmail({
+    to: candidate.email,
+    template: 'candidateStatusChanged',
+    category: 'statusChanges',
+    data: { candidate, from, to }
+  });
+};
 
+// Delivers due outbox messages. Failures are retried with backoff until EMAIL_MAX_ATTEMPTS.
+let outboxRunning = false;
+const processEmailOutbox = async ({ limit = 50 } = {}) => {
+  const result = { sent: 0, failed: 0 };
+  const transport = getMailTransport();
+  if (!transport || outboxRunning) return result;
 
-app.post('/api/interviews', verifyToken, verifyRole(['admin', 'staff']), async (req, res) => {
+  outboxRunning = true;
   try {
-    const { candidateId, date, time, type } = req.body; 
-    const { ObjectId } = require('mongodb');
+    const outbox = db.collection('emailOutbox');
+    // A process that died mid-send leaves messages locked in 'sending'
+    await outbox.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(Date.now() - EMAIL_STALE_LOCK_MINUTES * 60000) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+    );
 
-    if (!candidateId || !date || !time) {
-      return res.status(400).send('Missing required fields');
+    for (let i = 0; i < limit; i++) {
+      const now = new Date();
+      const message = await outbox.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+      );
+      if (!message) break;
+
+      try {
+        await transport.sendMail({
+          from: MAIL_FROM,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          attachments: message.attachments
+        });
+        await outbox.updateOne({ _id: message._id }, { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedAt: '' } });
+        result.sent++;
+      } catch (error) {
+        const exhausted = message.attempts >= EMAIL_MAX_ATTEMPTS;
+        const delay = EMAIL_RETRY_MINUTES[Math.min(message.attempts, EMAIL_RETRY_MINUTES.length) - 1];
+        await outbox.updateOne({ _id: message._id }, {
+          $set: {
+            status: exhausted ? 'failed' : 'pending',
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + delay * 60000)
+          },
+          $unset: { lockedAt: '' }
+        });
+        result.failed++;
+      }
     }
+  } finally {
+    outboxRunning = false;
+  }
+  return result;
+};
 
-    const interview = {
-      candidateId: new ObjectId(candidateId),
-      date,
-      time,
-      type: type || 'General',
-      status: 'Scheduled',
-      scheduledBy: req.user.uid,
-      createdAt: new Date()
-    };
+// Sends what was just queued. Serverless instances are frozen once the response is out, so there the
+// flush runs before responding; anything it misses is picked up by the maintenance cron.
+const flushEmailOutbox = async () => {
+  const flush = () => processEmailOutbox().catch(error => console.error('Email Outbox Error:', error));
+  if (RUNS_SERVERLESS) return flush();
+  setImmediate(flush);
+};
 
-    const interviewsCollection = db.collection('interviews');
-    const result = await interviewsCollection.insertOne(interview);
+app.get('/api/notifications/preferences', verifyToken, async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ uid: req.user.uid }, { projection: { notificationPreferences: 1 } });
+    if (!user) return res.status(404).send('User not found');
+    res.json(getNotificationPreferences(user));
+  } catch (error) {
+    console.error('Fetch Notification Preferences Error:', error);
+    res.status(500).send('Error fetching notification preferences');
+  }
+});
 
-    
-    await db.collection('candidates').updateOne(
-      { _id: new ObjectId(candidateId) },
-      { $set: { status: 'Interview Scheduled' } }
-    );
+// Body: { email?, interviews?, reminders?, statusChanges? }, all booleans. email: false opts out of everything.
+app.put('/api/notifications/preferences', verifyToken, async (req, res) => {
+  try {
+    const changes = {};
+    for (const key of ['email', ...NOTIFICATION_CATEGORIES]) {
+      const value = req.body?.[key];
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') return res.status(400).send(`${key} must be true or false`);
+      changes[key] = value;
+    }
+    if (Object.keys(changes).length === 0) return res.status(400).send('No preferences to update');
 
-    res.status(201).json({ message: 'Interview scheduled', id: result.insertedId });
+    const update = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`notificationPreferences.${key}`, value]));
+    const user = await db.collection('users').findOneAndUpdate(
+      { uid: req.user.uid },
+      { $set: update },
+      { projection: { notificationPreferences: 1 } }
+    );
+    if (!user) return res.status(404).send('User not found');
 
+    const before = getNotificationPreferences(user);
+    const after = { ...before, ...changes };
+    await recordAudit(req, { action: 'notification.preferences_update', targetType: 'user', targetId: req.user.uid, before, after });
+    res.json(after);
   } catch (error) {
-    console.error('Schedule Error:', error);
-    res.status(500).send('Error scheduling interview');
+    console.error('Update Notification Preferences Error:', error);
+    res.status(500).send('Error updating notification preferences');
   }
 });
 
+// Query: status?, page?, limit?
+app.get('/api/notifications/outbox', verifyToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const filter = status ? { status: String(status) } : {};
+
+    const outbox = db.collection('emailOutbox');
+    const [messages, total] = await Promise.all([
+      outbox.find(filter, { projection: { attachments: 0, text: 0 } })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      outbox.countDocuments(filter)
+    ]);
+    res.json({ messages, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Fetch Outbox Error:', error);
+    res.status(500).send('Error fetching email outbox');
+  }
+});
 
-app.get('/api/interviews', verifyToken, verifyRole(['admin', 'staff']), async (req, res) => {
+app.post('/api/notifications/outbox/:id/retry', verifyToken, requirePermission('settings.manage'), async (req, res) => {
   try {
-    const interviewsCollection = db.collection('interviews');
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).send('Invalid message id');
 
-    
-    const now = new Date();
-    const todayStr = now.toISOString().split('T')[0]; // 
-    await interviewsCollection.updateMany(
-      { status: 'Scheduled', date: { $lt: todayStr } },
-      { $set: { status: 'Completed' } }
+    const message = await db.collection('emailOutbox').findOneAndUpdate(
+      { _id: new ObjectId(id), status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { returnDocument: 'after', projection: { attachments: 0, text: 0 } }
     );
+    if (!message) return res.status(404).send('No failed message with that id');
+    await recordAudit(req, { action: 'email.retry', targetType: 'emailOutbox', targetId: message._id, details: { to: message.to, template: message.template } });
 
-    
-    const interviews = await interviewsCollection.aggregate([
-      {
-        $lookup: {
-          from: 'candidates',
-          localField: 'candidateId',
-          foreignField: '_id',
-          as: 'candidate'
-        }
-      },
-      { $unwind: '$candidate' },
-      { $sort: { date: 1, time: 1 } }
-    ]).toArray();
-
-    res.json(interviews);
-
+    await flushEmailOutbox();
+    res.json(message);
   } catch (error) {
-    console.error('Fetch Interviews Error:', error);
-    res.status(500).send('Error fetching interviews');
+    console.error('Retry Email Error:', error);
+    res.status(500).send('Error retrying email');
   }
 });
 
+// --- Candidate Export ---
+
+const EXPORT_COLUMNS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  experience_years: 'Experience (Years)',
+  previous_experience: 'Previous Experience',
+  age: 'Age',
+  status: 'Status',
+  createdAt: 'Created At',
+  photo: 'Photo URL',
+  tags: 'Tags',
+  assignedTo: 'Assigned To'
+};
+const DEFAULT_EXPORT_COLUMNS = ['name', 'email', 'phone', 'experience_years', 'previous_experience', 'age', 'status', 'createdAt'];
+
+// Maps a stored "/uploads/..." URL back to the file on disk
+const resolveUploadPath = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  const relative = path.normalize(url.slice('/uploads/'.length));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return path.join(UPLOADS_DIR, relative);
+};
+
+const formatExportValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(formatExportValue).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const escapeCsvValue = (value) => {
+  let text = String(formatExportValue(value));
+  // Stop spreadsheet apps from running cell text as a formula (phone numbers like +880... are left alone)
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const EXPORT_PHOTO_SIZE = 60;
 
-app.put('/api/interviews/:id/status', verifyToken, verifyRole(['admin', 'staff']), async (req, res) => {
+// Query: same filters as GET /api/candidates, plus
+// format=xlsx|csv, columns=name,email,... and photos=true to embed photos (xlsx only)
+app.get('/api/candidates/export', verifyToken, requirePermission('candidates.export'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body; 
-    const { ObjectId } = require('mongodb');
+    const format = (req.query.format || 'xlsx').toLowerCase();
+    if (!['xlsx', 'csv'].includes(format)) return res.status(400).send('Invalid format, use xlsx or csv');
+
+    const columns = req.query.columns
+      ? String(req.query.columns).split(',').map(c => c.trim()).filter(Boolean)
+      : DEFAULT_EXPORT_COLUMNS;
+    const unknown = columns.filter(c => !EXPORT_COLUMNS[c]);
+    if (unknown.length > 0) return res.status(400).send(`Unknown columns: ${unknown.join(', ')}`);
+    if (columns.length === 0) return res.status(400).send('No columns selected');
+
+    const { filter, error } = buildCandidateFilter(req.query);
+    if (error) return res.status(400).send(error);
+
+    const candidates = await db.collection('candidates').find(filter).sort({ createdAt: -1 }).toArray();
+    const stamp = new Date().toISOString().split('T')[0];
+
+    if (format === 'csv') {
+      const lines = [columns.map(c => escapeCsvValue(EXPORT_COLUMNS[c])).join(',')];
+      candidates.forEach((candidate) => {
+        lines.push(columns.map(c => escapeCsvValue(candidate[c])).join(','));
+      });
 
-    const result = await db.collection('interviews').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { status } }
-    );
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="candidates-${stamp}.csv"`);
+      // BOM so Excel opens non-ASCII names correctly
+      return res.send('\uFEFF' + lines.join('\r\n'));
+    }
 
-    if (result.matchedCount === 0) return res.status(404).send('Interview not found');
-    res.json({ message: 'Status updated' });
+    const embedPhotos = req.query.photos === 'true';
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Candidates');
+    sheet.columns = [
+      ...(embedPhotos ? [{ header: 'Photo', key: '__photo', width: 10 }] : []),
+      ...columns.map(c => ({ header: EXPORT_COLUMNS[c], key: c, width: c === 'previous_experience' ? 40 : 20 }))
+    ];
+    sheet.getRow(1).font = { bold: true };
+
+    for (const candidate of candidates) {
+      const values = {};
+      columns.forEach((c) => { values[c] = formatExportValue(candidate[c]); });
+      const row = sheet.addRow(values);
+
+      if (!embedPhotos) continue;
+      const photoPath = resolveUploadPath(candidate.photo);
+      const extension = path.extname(photoPath || '').slice(1).toLowerCase().replace('jpg', 'jpeg');
+      if (!photoPath || !['png', 'jpeg', 'gif'].includes(extension) || !fs.existsSync(photoPath)) continue;
+
+      const imageId = workbook.addImage({ buffer: await fs.promises.readFile(photoPath), extension });
+      sheet.addImage(imageId, {
+        tl: { col: 0, row: row.number - 1 },
+        ext: { width: EXPORT_PHOTO_SIZE, height: EXPORT_PHOTO_SIZE }
+      });
+      row.height = EXPORT_PHOTO_SIZE * 0.75; // points
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="candidates-${stamp}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
 
   } catch (error) {
-    res.status(500).send('Error updating interview status');
+    console.error('Export Error:', error);
+    if (!res.headersSent) res.status(500).send('Error exporting candidates');
+    else res.end();
   }
 });
 
 
-app.get('/api/candidates/download-phones', verifyToken, verifyRole(['admin', 'staff']), async (req, res) => {
+// --- Phone List Export ---
+
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '880').replace(/\D/g, '');
+
+// Normalizes a stored phone to E.164 (+<country><number>). Returns null for blanks and junk.
+const normalizePhone = (raw, countryCode = DEFAULT_COUNTRY_CODE) => {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim();
+  if (!text || ['undefined', 'null', 'n/a'].includes(text.toLowerCase())) return null;
+
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+')) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // national number with trunk prefix, e.g. 01711-000000
+    digits = countryCode + digits.replace(/^0+/, '');
+  } else if (!(digits.startsWith(countryCode) && digits.length > countryCode.length + 7)) {
+    digits = countryCode + digits;
+  }
+
+  if (digits.length < 8 || digits.length > 15) return null;
+  return `+${digits}`;
+};
+
+const escapeVCardValue = (value) => String(value || '').replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+// Query: same filters as GET /api/candidates, plus
+// interviewStatus=<status>|none  only candidates with (or without) an interview in that state
+// countryCode=880                default country for numbers without one
+// format=txt|csv|vcf
+app.get('/api/candidates/download-phones', verifyToken, requirePermission('candidates.export'), async (req, res) => {
   try {
+    const format = (req.query.format || 'txt').toLowerCase();
+    if (!['txt', 'csv', 'vcf'].includes(format)) return res.status(400).send('Invalid format, use txt, csv or vcf');
+
+    const countryCode = req.query.countryCode ? String(req.query.countryCode).replace(/\D/g, '') : DEFAULT_COUNTRY_CODE;
+    if (!countryCode) return res.status(400).send('Invalid countryCode');
+
+    const { filter, error } = buildCandidateFilter(req.query);
+    if (error) return res.status(400).send(error);
+
+    const { interviewStatus } = req.query;
+    if (interviewStatus) {
+      const interviewFilter = interviewStatus === 'none' ? {} : { status: interviewStatus };
+      const candidateIds = await db.collection('interviews').distinct('candidateId', interviewFilter);
+      filter._id = interviewStatus === 'none' ? { $nin: candidateIds } : { $in: candidateIds };
+    }
+
     const candidatesCollection = db.collection('candidates');
-    
-    const candidates = await candidatesCollection.find({}, { projection: { phone: 1 } }).toArray();
+    const candidates = await candidatesCollection
+      .find(filter, { projection: { name: 1, phone: 1 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    // Drop blanks and keep the first candidate seen for each number
+    const contacts = [];
+    const seen = new Set();
+    candidates.forEach((c) => {
+      const phone = normalizePhone(c.phone, countryCode);
+      if (!phone || seen.has(phone)) return;
+      seen.add(phone);
+      contacts.push({ name: c.name || '', phone });
+    });
 
-    
-    const phoneNumbers = candidates.map(c => c.phone).join('\n');
+    if (format === 'csv') {
+      const lines = ['Name,Phone', ...contacts.map(c => `${escapeCsvValue(c.name)},${escapeCsvValue(c.phone)}`)];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="phones.csv"');
+      return res.send('\uFEFF' + lines.join('\r\n'));
+    }
+
+    if (format === 'vcf') {
+      const cards = contacts.map(c => [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCardValue(c.name || c.phone)}`,
+        `N:;${escapeVCardValue(c.name || c.phone)};;;`,
+        `TEL;TYPE=CELL:${c.phone}`,
+        'END:VCARD'
+      ].join('\r\n'));
+      res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="phones.vcf"');
+      return res.send(cards.join('\r\n') + '\r\n');
+    }
 
-    
     res.setHeader('Content-Type', 'text/plain');
     res.setHeader('Content-Disposition', 'attachment; filename="phones.txt"');
 
-    res.send(phoneNumbers);
+    res.send(contacts.map(c => c.phone).join('\n'));
 
   } catch (error) {
     console.error('Download Error:', error);
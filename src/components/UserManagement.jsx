@@ -4,6 +4,7 @@ import './UserManagement.css';
 
 const UserManagement = () => {
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(['candidate', 'staff', 'admin']);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -21,8 +22,28 @@ const UserManagement = () => {
 
   useEffect(() => {
     fetchUsers();
+    fetchRoles();
   }, []);
 
+  // Includes custom roles configured on the server; falls back to the built-in ones
+  const fetchRoles = async () => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/roles`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      setRoles(data.map(role => role.name));
+    } catch (err) {
+      console.error('Error fetching roles:', err);
+    }
+  };
+
+  const formatRoleName = (role) => role.charAt(0).toUpperCase() + role.slice(1);
+
   const fetchUsers = async () => {
     try {
       setLoading(true);
@@ -72,23 +93,23 @@ const UserManagement = () => {
   const handleAddUser = async (e) => {
     e.preventDefault();
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/users/register-role`, {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/users`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({
-          ...newUser,
-          uid: `manual-${Date.now()}`, // Generate a temporary UID for manual registration
-        })
+        body: JSON.stringify(newUser)
       });
 
       if (!response.ok) {
-        throw new Error('Failed to add user');
+        throw new Error(await getErrorMessage(response, 'Failed to add user'));
       }
 
-      setSuccess('User added successfully');
+      const data = await response.json();
+      setSuccess(data.inviteSent
+        ? `User added. An invite to set a password was sent to ${data.user.email}`
+        : 'User added, but the invite email could not be sent. Use "Resend invite" to try again');
       setShowAddUser(false);
       setNewUser({
         email: '',
@@ -107,6 +128,82 @@ const UserManagement = () => {
     }
   };
 
+  const resendInvite = async (uid) => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/users/${uid}/invite`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, 'Failed to send invite'));
+      }
+
+      const data = await response.json();
+      setSuccess(data.message);
+      fetchUsers();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError('Error sending invite: ' + err.message);
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  // Shared by deactivate / reactivate / delete: they differ only in method, path and wording
+  const runUserAction = async (uid, { method = 'POST', path = '', body, action }) => {
+    try {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/users/${uid}${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, `Failed to ${action} user`));
+      }
+
+      const data = await response.json();
+      setSuccess(data.message);
+      fetchUsers();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(`Error trying to ${action} user: ` + err.message);
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const deactivateUser = (userItem) => {
+    const reason = window.prompt(`Deactivate ${userItem.email}? They will be signed out everywhere.\nReason (optional):`);
+    if (reason === null) return;
+    runUserAction(userItem.uid, { path: '/deactivate', body: { reason }, action: 'deactivate' });
+  };
+
+  const reactivateUser = (userItem) => {
+    runUserAction(userItem.uid, { path: '/reactivate', action: 'reactivate' });
+  };
+
+  const deleteUser = (userItem) => {
+    if (!window.confirm(`Permanently delete ${userItem.email}? Their sign-in account is removed; candidate records are kept.`)) return;
+    runUserAction(userItem.uid, { method: 'DELETE', action: 'delete' });
+  };
+
+  // The API answers with plain text or { message, errors: [{ field, message }] }
+  const getErrorMessage = async (response, fallback) => {
+    const text = await response.text();
+    try {
+      const body = JSON.parse(text);
+      if (body.errors) return body.errors.map(e => `${e.field}: ${e.message}`).join(', ');
+      return body.message || fallback;
+    } catch (e) {
+      return text || fallback;
+    }
+  };
+
   const getRoleBadgeClass = (role) => {
     switch (role) {
       case 'admin': return 'role-badge admin';
@@ -174,6 +271,10 @@ const UserManagement = () => {
           <h3>{users.filter(u => u.role === 'candidate').length}</h3>
           <p>Candidates</p>
         </div>
+        <div className="stat-card">
+          <h3>{users.filter(u => u.deactivatedAt).length}</h3>
+          <p>Deactivated</p>
+        </div>
         <div className="stat-card">
           <h3>{users.length}</h3>
           <p>Total Users</p>
@@ -187,6 +288,7 @@ const UserManagement = () => {
               <th>User Info</th>
               <th>Contact</th>
               <th>Role</th>
+              <th>Status</th>
               <th>Experience</th>
               <th>Joined</th>
               <th>Actions</th>
@@ -194,7 +296,7 @@ const UserManagement = () => {
           </thead>
           <tbody>
             {users.map((userItem) => (
-              <tr key={userItem.uid}>
+              <tr key={userItem.uid} className={userItem.deactivatedAt ? 'user-deactivated' : ''}>
                 <td>
                   <div className="user-info">
                     <div className="user-avatar">
@@ -222,6 +324,16 @@ const UserManagement = () => {
                   <span className={getRoleBadgeClass(userItem.role)}>
                     {userItem.role}
                   </span>
+                  {userItem.invitePending && <span className="invite-badge">Invite pending</span>}
+                </td>
+                <td>
+                  {userItem.deactivatedAt ? (
+                    <span className="status-badge deactivated" title={userItem.deactivationReason || ''}>
+                      Deactivated {formatDate(userItem.deactivatedAt)}
+                    </span>
+                  ) : (
+                    <span className="status-badge active">Active</span>
+                  )}
                 </td>
                 <td>
                   <div className="experience-info">
@@ -244,10 +356,34 @@ const UserManagement = () => {
                       className="role-select"
                       disabled={userItem.uid === user?.uid} // Prevent self role change
                     >
-                      <option value="candidate">Candidate</option>
-                      <option value="staff">Staff</option>
-                      <option value="admin">Admin</option>
+                      {roles.map(role => (
+                        <option key={role} value={role}>{formatRoleName(role)}</option>
+                      ))}
                     </select>
+                    {userItem.invitePending && (
+                      <button
+                        className="btn btn-secondary btn-small"
+                        onClick={() => resendInvite(userItem.uid)}
+                      >
+                        Resend invite
+                      </button>
+                    )}
+                    {userItem.uid !== user?.uid && (
+                      userItem.deactivatedAt ? (
+                        <button className="btn btn-secondary btn-small" onClick={() => reactivateUser(userItem)}>
+                          Reactivate
+                        </button>
+                      ) : (
+                        <button className="btn btn-secondary btn-small" onClick={() => deactivateUser(userItem)}>
+                          Deactivate
+                        </button>
+                      )
+                    )}
+                    {userItem.uid !== user?.uid && (
+                      <button className="btn btn-danger btn-small" onClick={() => deleteUser(userItem)}>
+                        Delete
+                      </button>
+                    )}
                   </div>
                 </td>
               </tr>
@@ -307,9 +443,9 @@ const UserManagement = () => {
                     onChange={(e) => setNewUser({...newUser, role: e.target.value})}
                     required
                   >
-                    <option value="candidate">Candidate</option>
-                    <option value="staff">Staff</option>
-                    <option value="admin">Admin</option>
+                    {roles.map(role => (
+                      <option key={role} value={role}>{formatRoleName(role)}</option>
+                    ))}
                   </select>
                 </div>
               </div>
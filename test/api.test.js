@@ -0,0 +1,596 @@
+// Integration tests against a real MongoDB replica set (transactions need one). They sign in with the
+// locally signed test tokens, so no Firebase project is needed. With TEST_MONGO_URI set they run against
+// that server; otherwise mongodb-memory-server starts a single-node replica set, downloading mongod on
+// first use (set MONGOMS_SYSTEM_BINARY to use an installed one instead). Every run uses its own database
+// and drops it afterwards. Without a database the suite fails rather than skipping.
+//
+// Tests that change data create their own users and candidates, so each one can run on its own.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { MongoClient, ObjectId } = require('mongodb');
+
+const DB_NAME = `job-candidate-test-${process.pid}-${Date.now()}`;
+
+// Only read by the tests, never changed
+const USERS = [
+  { uid: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' },
+  { uid: 'staff-1', email: 'staff@example.com', name: 'Staff', role: 'staff' },
+  { uid: 'manager-1', email: 'manager@example.com', name: 'Manager', role: 'manager' },
+  { uid: 'editor-1', email: 'editor@example.com', name: 'Editor', role: 'editor' },
+  { uid: 'candidate-1', email: 'candidate@example.com', name: 'Candidate', role: 'candidate' },
+  { uid: 'former-1', email: 'former@example.com', name: 'Former Staff', role: 'staff', deactivatedAt: new Date() }
+];
+
+const startDatabase = async () => {
+  if (process.env.TEST_MONGO_URI) return { uri: process.env.TEST_MONGO_URI, stop: async () => { } };
+  try {
+    const { MongoMemoryReplSet } = require('mongodb-memory-server');
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    return { uri: replSet.getUri(), stop: () => replSet.stop() };
+  } catch (error) {
+    throw new Error(`No test database: set TEST_MONGO_URI to a replica set, or let mongodb-memory-server download mongod (${error.message})`);
+  }
+};
+
+describe('API', () => {
+  let server;
+  let baseUrl;
+  let database;
+  let mongo;
+  let db;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let data = text;
+    try { data = JSON.parse(text); } catch { /* plain-text responses stay strings */ }
+    return { status: response.status, body: data };
+  };
+
+  const tokenFor = async (uid, email) => {
+    const { status, body } = await request('POST', '/api/test-auth/token', { body: { uid, email } });
+    assert.equal(status, 200);
+    return body.token;
+  };
+
+  let sequence = 0;
+  const unique = (prefix) => `${prefix}-${++sequence}`;
+
+  const createUser = async (role, fields = {}) => {
+    const uid = unique(role);
+    const user = { uid, email: `${uid}@example.com`, name: uid, role, createdAt: new Date(), ...fields };
+    await db.collection('users').insertOne(user);
+    return user;
+  };
+
+  const createCandidate = async (fields = {}) => {
+    const key = unique('candidate');
+    const candidate = { name: key, email: `${key}@example.com`, status: 'pending', statusHistory: [], createdAt: new Date(), ...fields };
+    const { insertedId } = await db.collection('candidates').insertOne(candidate);
+    return { ...candidate, _id: insertedId };
+  };
+
+  // Every call books its own day, so interviews from different tests never overlap
+  let day = 0;
+  const nextInterviewDate = () => new Date(Date.UTC(2099, 0, 1 + ++day)).toISOString().slice(0, 10);
+
+  const scheduleInterview = async (candidate, interviewers, { date, time = '10:00' } = {}) =>
+    request('POST', '/api/interviews', {
+      token: await tokenFor('staff-1'),
+      body: { candidateId: String(candidate._id), date: date || nextInterviewDate(), time, interviewers: interviewers.map(user => user.uid) }
+    });
+
+  before(async () => {
+    database = await startDatabase();
+    Object.assign(process.env, { MONGO_URI: database.uri, MONGO_DB_NAME: DB_NAME, TEST_AUTH: 'true', NODE_ENV: 'test' });
+    delete process.env.VERCEL;
+    delete process.env.SMTP_HOST;
+
+    mongo = await new MongoClient(database.uri).connect();
+    db = mongo.db(DB_NAME);
+    const now = new Date();
+    await db.collection('users').insertMany(USERS.map(user => ({ ...user, createdAt: now })));
+    await db.collection('roles').insertMany([
+      { _id: 'manager', description: 'Manages accounts', permissions: ['users.manage'] },
+      { _id: 'editor', description: 'Edits candidate details only', permissions: ['candidates.read', 'candidates.edit'] }
+    ]);
+
+    const app = require('../index.js');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    if (db) await db.dropDatabase();
+    if (mongo) await mongo.close();
+    if (database) await database.stop();
+  });
+
+  describe('authentication', () => {
+    it('rejects requests without a token', async () => {
+      const { status } = await request('GET', '/api/test-auth');
+      assert.equal(status, 401);
+    });
+
+    it('rejects a token with a tampered signature', async () => {
+      const token = await tokenFor('staff-1');
+      const tampered = `${token.slice(0, -2)}${token.endsWith('AA') ? 'BB' : 'AA'}`;
+      const { status } = await request('GET', '/api/test-auth', { token: tampered });
+      assert.equal(status, 401);
+    });
+
+    it('accepts a signed test token', async () => {
+      const { status, body } = await request('GET', '/api/test-auth', { token: await tokenFor('staff-1') });
+      assert.equal(status, 200);
+      assert.equal(body.user.uid, 'staff-1');
+      assert.equal(body.user.email, 'staff@example.com');
+    });
+
+    it('refuses deactivated accounts', async () => {
+      const { status } = await request('GET', '/api/test-auth', { token: await tokenFor('former-1') });
+      assert.equal(status, 403);
+    });
+
+    it('returns the user with their effective permissions', async () => {
+      const { status, body } = await request('GET', '/api/users/me', { token: await tokenFor('staff-1') });
+      assert.equal(status, 200);
+      assert.equal(body.role, 'staff');
+      assert.ok(body.permissions.includes('candidates.read'));
+      assert.ok(body.permissions.includes('candidates.edit'));
+      assert.ok(!body.permissions.includes('users.manage'));
+    });
+  });
+
+  describe('permissions', () => {
+    it('lets admins list users', async () => {
+      const { status, body } = await request('GET', '/api/users', { token: await tokenFor('admin-1') });
+      assert.equal(status, 200);
+      const uids = body.map(user => user.uid);
+      USERS.forEach(user => assert.ok(uids.includes(user.uid), user.uid));
+    });
+
+    it('forbids staff and candidates from listing users', async () => {
+      for (const uid of ['staff-1', 'candidate-1']) {
+        const { status } = await request('GET', '/api/users', { token: await tokenFor(uid) });
+        assert.equal(status, 403, uid);
+      }
+    });
+
+    it('lets staff but not candidates read candidates', async () => {
+      assert.equal((await request('GET', '/api/candidates', { token: await tokenFor('staff-1') })).status, 200);
+      assert.equal((await request('GET', '/api/candidates', { token: await tokenFor('candidate-1') })).status, 403);
+    });
+
+    it('requires a users document for permission-checked routes', async () => {
+      const { status } = await request('GET', '/api/candidates', { token: await tokenFor(unique('nobody')) });
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('registration', () => {
+    const register = async (uid, body) =>
+      request('POST', '/api/users/register-role', { token: await tokenFor(uid, `${uid}@example.com`), body });
+
+    it('reports unregistered users as not found', async () => {
+      const uid = unique('new');
+      const { status } = await request('GET', '/api/users/me', { token: await tokenFor(uid, `${uid}@example.com`) });
+      assert.equal(status, 404);
+    });
+
+    it('registers new users as candidates with a candidate profile', async () => {
+      const uid = unique('new');
+      const { status, body } = await register(uid, { name: 'New Candidate' });
+      assert.equal(status, 200);
+      assert.equal(body.role, 'candidate');
+
+      const user = await db.collection('users').findOne({ uid });
+      assert.equal(user.role, 'candidate');
+      assert.equal(user.email, `${uid}@example.com`);
+      const candidate = await db.collection('candidates').findOne({ email: `${uid}@example.com` });
+      assert.equal(candidate.name, 'New Candidate');
+    });
+
+    it('registers without a name', async () => {
+      const { status } = await register(unique('new'), {});
+      assert.equal(status, 200);
+    });
+
+    it('refuses to self-assign staff or admin', async () => {
+      const uid = unique('new');
+      for (const role of ['staff', 'admin']) {
+        const { status } = await register(uid, { role, name: 'Sneaky' });
+        assert.equal(status, 403, role);
+      }
+      assert.equal(await db.collection('users').countDocuments({ uid }), 0);
+    });
+
+    it('keeps the existing role when a user registers again', async () => {
+      const staff = await createUser('staff');
+      const { status, body } = await register(staff.uid, { name: 'Staff Renamed' });
+      assert.equal(status, 200);
+      assert.equal(body.role, 'staff');
+    });
+
+    it('refuses deactivated accounts', async () => {
+      const { status } = await request('POST', '/api/users/register-role', { token: await tokenFor('former-1'), body: {} });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('role changes', () => {
+    const changeRole = async (callerUid, uid, role) =>
+      request('PATCH', `/api/users/${uid}/role`, { token: await tokenFor(callerUid), body: { role } });
+
+    it('lets users.manage holders change non-admin roles', async () => {
+      const user = await createUser('candidate');
+      const { status } = await changeRole('manager-1', user.uid, 'staff');
+      assert.equal(status, 200);
+      assert.equal((await db.collection('users').findOne({ uid: user.uid })).role, 'staff');
+    });
+
+    it('only lets admins grant the admin role', async () => {
+      const staff = await createUser('staff');
+      assert.equal((await changeRole('manager-1', staff.uid, 'admin')).status, 403);
+      assert.equal((await db.collection('users').findOne({ uid: staff.uid })).role, 'staff');
+
+      const created = await request('POST', '/api/users', {
+        token: await tokenFor('manager-1'),
+        body: { email: `${unique('made-admin')}@example.com`, name: 'Made Admin', role: 'admin' }
+      });
+      assert.equal(created.status, 403);
+    });
+
+    it('only lets admins demote an admin', async () => {
+      const target = await createUser('admin');
+      assert.equal((await changeRole('manager-1', target.uid, 'staff')).status, 403);
+      assert.equal((await db.collection('users').findOne({ uid: target.uid })).role, 'admin');
+    });
+
+    it('only lets admins deactivate or delete an admin', async () => {
+      const target = await createUser('admin');
+      const token = await tokenFor('manager-1');
+      assert.equal((await request('POST', `/api/users/${target.uid}/deactivate`, { token, body: {} })).status, 403);
+      assert.equal((await request('DELETE', `/api/users/${target.uid}`, { token })).status, 403);
+      const stored = await db.collection('users').findOne({ uid: target.uid });
+      assert.ok(stored);
+      assert.equal(stored.deactivatedAt, undefined);
+    });
+
+    it('lets admins deactivate another admin', async () => {
+      const target = await createUser('admin');
+      const { status } = await request('POST', `/api/users/${target.uid}/deactivate`, { token: await tokenFor('admin-1'), body: {} });
+      assert.equal(status, 200);
+      assert.ok((await db.collection('users').findOne({ uid: target.uid })).deactivatedAt);
+    });
+
+    it('keeps an admin when the last two demote each other at once', async () => {
+      const first = await createUser('admin');
+      const second = await createUser('admin');
+      // The guard only matters when these two are the last active admins, so the others sit this one out
+      const usersCollection = db.collection('users');
+      const others = (await usersCollection.find({ role: 'admin', deactivatedAt: null, uid: { $nin: [first.uid, second.uid] } }).toArray())
+        .map(user => user.uid);
+      await usersCollection.updateMany({ uid: { $in: others } }, { $set: { deactivatedAt: new Date() } });
+      try {
+        const results = await Promise.all([changeRole(first.uid, second.uid, 'staff'), changeRole(second.uid, first.uid, 'staff')]);
+        // The loser gets 409, or 403 when it was already demoted before its permission check ran
+        assert.equal(results.filter(r => r.status === 200).length, 1);
+        assert.equal(await usersCollection.countDocuments({ uid: { $in: [first.uid, second.uid] }, role: 'admin' }), 1);
+      } finally {
+        await usersCollection.updateMany({ uid: { $in: others } }, { $unset: { deactivatedAt: '' } });
+      }
+    });
+
+    it('lets admins grant the admin role', async () => {
+      const staff = await createUser('staff');
+      assert.equal((await changeRole('admin-1', staff.uid, 'admin')).status, 200);
+      assert.equal((await db.collection('users').findOne({ uid: staff.uid })).role, 'admin');
+    });
+  });
+
+  describe('candidate updates', () => {
+    it('lets candidates.edit holders change details', async () => {
+      const candidate = await createCandidate();
+      const { status, body } = await request('PUT', `/api/candidates/${candidate._id}`, { token: await tokenFor('editor-1'), body: { phone: '555-0101' } });
+      assert.equal(status, 200);
+      assert.equal(body.phone, '555-0101');
+    });
+
+    it('needs the dedicated permission to change status, tags or assignee', async () => {
+      const candidate = await createCandidate();
+      const token = await tokenFor('editor-1');
+      for (const body of [{ status: 'screening' }, { tags: ['priority'] }, { assignedTo: 'staff-1' }]) {
+        const { status } = await request('PUT', `/api/candidates/${candidate._id}`, { token, body });
+        assert.equal(status, 403, Object.keys(body)[0]);
+      }
+      const stored = await db.collection('candidates').findOne({ _id: candidate._id });
+      assert.equal(stored.status, 'pending');
+      assert.equal(stored.tags, undefined);
+      assert.equal(stored.assignedTo, undefined);
+    });
+  });
+
+  describe('pipeline', () => {
+    const changeStatus = async (candidate, status) =>
+      request('PATCH', `/api/candidates/${candidate._id}/status`, { token: await tokenFor('staff-1'), body: { status, reason: 'Reviewed' } });
+
+    it('moves a candidate along an allowed transition and records it', async () => {
+      const candidate = await createCandidate();
+      const { status, body } = await changeStatus(candidate, 'screening');
+      assert.equal(status, 200);
+      assert.equal(body.status, 'screening');
+      const entry = body.statusHistory.at(-1);
+      assert.equal(entry.from, 'pending');
+      assert.equal(entry.to, 'screening');
+      assert.equal(entry.changedBy, 'staff-1');
+    });
+
+    it('refuses a transition the pipeline does not allow', async () => {
+      const candidate = await createCandidate();
+      const { status, body } = await changeStatus(candidate, 'hired');
+      assert.equal(status, 409);
+      assert.ok(body.allowed.includes('screening'));
+      assert.equal((await db.collection('candidates').findOne({ _id: candidate._id })).status, 'pending');
+    });
+
+    it('refuses a pipeline without the stages interviews rely on', async () => {
+      const { status } = await request('PUT', '/api/pipeline', {
+        token: await tokenFor('admin-1'),
+        body: { initialStage: 'new', stages: ['new', 'hired'], transitions: { new: ['hired'], hired: [] } }
+      });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('interviews', () => {
+    const submitFeedback = async (id, uid, recommendation = 'hire') =>
+      request('POST', `/api/interviews/${id}/feedback`, { token: await tokenFor(uid), body: { ratings: { communication: 4 }, recommendation } });
+
+    it('schedules an interview and moves the candidate to "interview scheduled"', async () => {
+      const candidate = await createCandidate();
+      const { status, body } = await scheduleInterview(candidate, [await createUser('staff')]);
+      assert.equal(status, 201);
+      assert.ok(await db.collection('interviews').findOne({ _id: new ObjectId(body.id) }));
+      assert.equal((await db.collection('candidates').findOne({ _id: candidate._id })).status, 'interview scheduled');
+    });
+
+    it('refuses an interview overlapping another one of the same interviewer', async () => {
+      const interviewer = await createUser('staff');
+      const date = nextInterviewDate();
+      assert.equal((await scheduleInterview(await createCandidate(), [interviewer], { date })).status, 201);
+
+      const { status, body } = await scheduleInterview(await createCandidate(), [interviewer], { date, time: '10:30' });
+      assert.equal(status, 409);
+      assert.ok(body.conflicts[0].conflictsWith.includes(`interviewer:${interviewer.uid}`));
+    });
+
+    it('takes feedback from the interviewers and moves the candidate to "interviewed"', async () => {
+      const candidate = await createCandidate();
+      const interviewer = await createUser('staff');
+      const { body: { id } } = await scheduleInterview(candidate, [interviewer]);
+
+      const outsider = await createUser('staff');
+      assert.equal((await submitFeedback(id, outsider.uid)).status, 403);
+
+      const { status, body } = await submitFeedback(id, interviewer.uid);
+      assert.equal(status, 200);
+      assert.equal(body.status, 'Completed');
+      assert.equal((await db.collection('candidates').findOne({ _id: candidate._id })).status, 'interviewed');
+    });
+
+    it('keeps feedback submitted by two interviewers at the same time', async () => {
+      const candidate = await createCandidate();
+      const interviewers = [await createUser('staff'), await createUser('staff')];
+      const { body: { id } } = await scheduleInterview(candidate, interviewers);
+
+      const results = await Promise.all(interviewers.map(user => submitFeedback(id, user.uid)));
+      results.forEach(result => assert.equal(result.status, 200));
+
+      const interview = await db.collection('interviews').findOne({ _id: new ObjectId(id) });
+      assert.deepEqual(interview.feedback.map(f => f.interviewerUid).sort(), interviewers.map(user => user.uid).sort());
+    });
+  });
+
+  describe('bulk operations', () => {
+    it('changes each status on its own and reports the ones that fail', async () => {
+      const movable = [await createCandidate(), await createCandidate()];
+      const stuck = await createCandidate({ status: 'hired' });
+      const { status, body } = await request('POST', '/api/candidates/bulk/status', {
+        token: await tokenFor('staff-1'),
+        body: { ids: [...movable, stuck].map(c => String(c._id)), status: 'screening' }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.succeeded, 2);
+      assert.equal(body.failed, 1);
+      assert.equal(body.results.find(r => r.id === String(stuck._id)).ok, false);
+      assert.equal(await db.collection('candidates').countDocuments({ _id: { $in: movable.map(c => c._id) }, status: 'screening' }), 2);
+    });
+
+    it('moves the selected candidates to the trash', async () => {
+      const candidates = [await createCandidate(), await createCandidate()];
+      const { status, body } = await request('POST', '/api/candidates/bulk/delete', {
+        token: await tokenFor('admin-1'),
+        body: { ids: candidates.map(c => String(c._id)) }
+      });
+      assert.equal(status, 200);
+      assert.equal(body.succeeded, 2);
+      assert.equal(await db.collection('candidates').countDocuments({ _id: { $in: candidates.map(c => c._id) }, deletedAt: { $ne: null } }), 2);
+    });
+  });
+
+  describe('trash', () => {
+    const trash = async (candidate) =>
+      assert.equal((await request('DELETE', `/api/candidates/${candidate._id}`, { token: await tokenFor('admin-1') })).status, 200);
+    const restore = async (candidate) =>
+      request('POST', `/api/trash/candidates/${candidate._id}/restore`, { token: await tokenFor('admin-1') });
+
+    it('hides a trashed candidate\'s interviews and brings them back on restore', async () => {
+      const candidate = await createCandidate();
+      assert.equal((await scheduleInterview(candidate, [await createUser('staff')])).status, 201);
+      await trash(candidate);
+      assert.ok((await db.collection('interviews').findOne({ candidateId: candidate._id })).candidateDeletedAt);
+
+      const { status, body } = await restore(candidate);
+      assert.equal(status, 200);
+      assert.equal(body.interviewsRestored, 1);
+      assert.deepEqual(body.interviewsCancelled, []);
+      const interview = await db.collection('interviews').findOne({ candidateId: candidate._id });
+      assert.equal(interview.candidateDeletedAt, undefined);
+      assert.equal(interview.status, 'Scheduled');
+    });
+
+    it('cancels a restored interview whose slot was booked meanwhile', async () => {
+      const interviewer = await createUser('staff');
+      const date = nextInterviewDate();
+      const candidate = await createCandidate();
+      assert.equal((await scheduleInterview(candidate, [interviewer], { date })).status, 201);
+      await trash(candidate);
+      assert.equal((await scheduleInterview(await createCandidate(), [interviewer], { date })).status, 201);
+
+      const { status, body } = await restore(candidate);
+      assert.equal(status, 200);
+      assert.equal(body.interviewsCancelled.length, 1);
+      assert.equal((await db.collection('interviews').findOne({ candidateId: candidate._id })).status, 'Cancelled');
+    });
+
+    it('purges a trashed candidate with its interviews', async () => {
+      const candidate = await createCandidate();
+      assert.equal((await scheduleInterview(candidate, [await createUser('staff')])).status, 201);
+      const token = await tokenFor('admin-1');
+      assert.equal((await request('DELETE', `/api/trash/candidates/${candidate._id}`, { token })).status, 404);
+
+      await trash(candidate);
+      const { status, body } = await request('DELETE', `/api/trash/candidates/${candidate._id}`, { token });
+      assert.equal(status, 200);
+      assert.equal(body.interviewsDeleted, 1);
+      assert.equal(await db.collection('candidates').countDocuments({ _id: candidate._id }), 0);
+      assert.equal(await db.collection('interviews').countDocuments({ candidateId: candidate._id }), 0);
+    });
+
+    it('only lets candidates.purge holders purge', async () => {
+      const candidate = await createCandidate({ deletedAt: new Date(), deletedBy: 'admin-1' });
+      const { status } = await request('DELETE', `/api/trash/candidates/${candidate._id}`, { token: await tokenFor('staff-1') });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('merging', () => {
+    const note = (body, authorUid, createdAt) => ({ _id: new ObjectId(), body, authorUid, createdAt });
+
+    it('folds the duplicate into the primary, keeping tags, notes and an assignee', async () => {
+      const primary = await createCandidate({ tags: ['priority'], notes: [note('Called back', 'staff-1', new Date('2024-02-01'))] });
+      const duplicate = await createCandidate({ tags: ['remote'], assignedTo: 'staff-1', notes: [note('First contact', 'admin-1', new Date('2024-01-01'))] });
+
+      const { status, body } = await request('POST', '/api/candidates/merge', {
+        token: await tokenFor('admin-1'),
+        body: { primaryId: String(primary._id), duplicateId: String(duplicate._id) }
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body.candidate.tags, ['priority', 'remote']);
+      assert.deepEqual(body.candidate.notes.map(n => [n.body, n.authorUid]), [['First contact', 'admin-1'], ['Called back', 'staff-1']]);
+      assert.equal(body.candidate.assignedTo, 'staff-1');
+      assert.equal(await db.collection('candidates').countDocuments({ _id: duplicate._id }), 0);
+    });
+  });
+
+  describe('imports', () => {
+    const records = () => {
+      const key = unique('imported');
+      return [
+        { Name: `${key} One`, Email: `${key}-1@example.com`, Phone: '555-0001' },
+        { Name: `${key} Two`, Email: `${key}-2@example.com`, Phone: '555-0002' }
+      ];
+    };
+
+    it('writes nothing until a preview is committed, and commits it only once', async () => {
+      const rows = records();
+      const emails = rows.map(row => row.Email);
+      const token = await tokenFor('staff-1');
+      const preview = await request('POST', '/api/candidates/import?preview=true', { token, body: rows });
+      assert.equal(preview.status, 200);
+      assert.equal(preview.body.candidates.length, 2);
+      assert.equal(await db.collection('candidates').countDocuments({ email: { $in: emails } }), 0);
+
+      const commitPath = `/api/candidates/upload/${preview.body.previewId}/commit`;
+      const commit = await request('POST', commitPath, { token, body: {} });
+      assert.equal(commit.status, 200);
+      assert.equal(commit.body.added, 2);
+      assert.equal(await db.collection('candidates').countDocuments({ email: { $in: emails }, status: 'pending' }), 2);
+
+      assert.equal((await request('POST', commitPath, { token, body: {} })).status, 409);
+    });
+
+    it('only lets the uploader commit a preview', async () => {
+      const preview = await request('POST', '/api/candidates/import?preview=true', { token: await tokenFor('staff-1'), body: records() });
+      const other = await createUser('staff');
+      const { status } = await request('POST', `/api/candidates/upload/${preview.body.previewId}/commit`, { token: await tokenFor(other.uid), body: {} });
+      assert.equal(status, 404);
+    });
+
+    it('runs an import job in the background', async () => {
+      const token = await tokenFor('staff-1');
+      const { status, body } = await request('POST', '/api/candidates/import', { token, body: records() });
+      assert.equal(status, 202);
+
+      let job;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        job = (await request('GET', `/api/imports/${body.jobId}`, { token })).body;
+        if (!['queued', 'processing'].includes(job.status)) break;
+        await sleep(200);
+      }
+      assert.equal(job.status, 'completed');
+      assert.equal(job.added, 2);
+    });
+  });
+
+  describe('candidate self-service', () => {
+    const createOwnCandidate = async () => {
+      const user = await createUser('candidate');
+      await createCandidate({
+        email: user.email,
+        status: 'screening',
+        tags: ['priority'],
+        assignedTo: 'staff-1',
+        notes: [{ _id: new ObjectId(), body: 'Strong referral', authorUid: 'staff-1', createdAt: new Date() }],
+        statusHistory: [{ from: 'pending', to: 'screening', changedBy: 'staff-1', changedAt: new Date(), reason: 'Looks promising' }]
+      });
+      return user;
+    };
+
+    const assertCandidateSafe = (candidate) => {
+      for (const field of ['notes', 'tags', 'assignedTo', 'createdBy', 'updatedBy', 'deletedBy']) {
+        assert.equal(candidate[field], undefined, field);
+      }
+      for (const entry of candidate.statusHistory) {
+        assert.equal(entry.changedBy, undefined);
+        assert.equal(entry.reason, undefined);
+      }
+    };
+
+    it('hides staff-only fields from the candidate\'s own profile', async () => {
+      const user = await createOwnCandidate();
+      const { status, body } = await request('GET', '/api/candidates/me', { token: await tokenFor(user.uid) });
+      assert.equal(status, 200);
+      assert.equal(body.status, 'screening');
+      assertCandidateSafe(body);
+    });
+
+    it('hides staff-only fields after a profile update', async () => {
+      const user = await createOwnCandidate();
+      const { status, body } = await request('PATCH', '/api/candidates/me', { token: await tokenFor(user.uid), body: { phone: '555-0100' } });
+      assert.equal(status, 200);
+      assert.equal(body.phone, '555-0100');
+      assertCandidateSafe(body);
+    });
+  });
+});